@@ -1,39 +1,61 @@
-import React from 'react';
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import React, { Suspense } from 'react';
+import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import { motion, AnimatePresence } from 'framer-motion';
+import { getSafeRedirect, getLoginUrl } from './utils/helpers';
 
-// Pages
-import Login from './pages/Login';
-import Register from './pages/Register';
-import Dashboard from './pages/Dashboard';
-import WishlistDetail from './pages/WishlistDetail';
-import Profile from './pages/Profile';
+// Pages (loaded on demand)
+import {
+  Login,
+  Register,
+  Dashboard,
+  WishlistDetail,
+  WishlistActivity,
+  JoinWishlist,
+  PublicWishlist,
+  Explore,
+  UserProfile,
+  Profile,
+  NotFound
+} from './pages/lazy';
 
 // Components
 import Navbar from './components/Navbar';
 import LoadingSpinner from './components/LoadingSpinner';
+import RouteErrorBoundary from './components/RouteErrorBoundary';
 
-// Protected Route Component
+// Protected Route Component (the login page sends the user back here)
 const ProtectedRoute = ({ children }) => {
   const { isAuthenticated, isLoading } = useAuth();
+  const location = useLocation();
 
   if (isLoading) {
     return <LoadingSpinner />;
   }
 
-  return isAuthenticated ? children : <Navigate to="/login" />;
+  if (!isAuthenticated) {
+    return <Navigate to={getLoginUrl(`${location.pathname}${location.search}${location.hash}`)} replace />;
+  }
+
+  return children;
 };
 
-// Public Route Component (redirect if authenticated)
+// Public Route Component (redirect if authenticated, to the page they
+// were headed to if any)
 const PublicRoute = ({ children }) => {
   const { isAuthenticated, isLoading } = useAuth();
+  const location = useLocation();
 
   if (isLoading) {
     return <LoadingSpinner />;
   }
 
-  return !isAuthenticated ? children : <Navigate to="/dashboard" />;
+  if (isAuthenticated) {
+    const redirect = new URLSearchParams(location.search).get('redirect');
+    return <Navigate to={getSafeRedirect(redirect)} replace />;
+  }
+
+  return children;
 };
 
 function AppContent() {
@@ -47,49 +69,74 @@ function AppContent() {
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
       <Navbar />
       <AnimatePresence mode="wait">
-        <Routes>
-          <Route
-            path="/login"
-            element={
-              <PublicRoute>
-                <Login />
-              </PublicRoute>
-            }
-          />
-          <Route
-            path="/register"
-            element={
-              <PublicRoute>
-                <Register />
-              </PublicRoute>
-            }
-          />
-          <Route
-            path="/dashboard"
-            element={
-              <ProtectedRoute>
-                <Dashboard />
-              </ProtectedRoute>
-            }
-          />
-          <Route
-            path="/wishlist/:id"
-            element={
-              <ProtectedRoute>
-                <WishlistDetail />
-              </ProtectedRoute>
-            }
-          />
-          <Route
-            path="/profile"
-            element={
-              <ProtectedRoute>
-                <Profile />
-              </ProtectedRoute>
-            }
-          />
-          <Route path="/" element={<Navigate to="/dashboard" />} />
-        </Routes>
+        <RouteErrorBoundary>
+          <Suspense fallback={<LoadingSpinner text="Loading page..." />}>
+            <Routes>
+              <Route
+                path="/login"
+                element={
+                  <PublicRoute>
+                    <Login />
+                  </PublicRoute>
+                }
+              />
+              <Route
+                path="/register"
+                element={
+                  <PublicRoute>
+                    <Register />
+                  </PublicRoute>
+                }
+              />
+              <Route
+                path="/dashboard"
+                element={
+                  <ProtectedRoute>
+                    <Dashboard />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/wishlist/:id"
+                element={
+                  <ProtectedRoute>
+                    <WishlistDetail />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/wishlist/:id/activity"
+                element={
+                  <ProtectedRoute>
+                    <WishlistActivity />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/explore"
+                element={
+                  <ProtectedRoute>
+                    <Explore />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/profile"
+                element={
+                  <ProtectedRoute>
+                    <Profile />
+                  </ProtectedRoute>
+                }
+              />
+              {/* Invite links work signed in or out */}
+              <Route path="/join/:code" element={<JoinWishlist />} />
+              <Route path="/public/wishlist/:id" element={<PublicWishlist />} />
+              <Route path="/u/:username" element={<UserProfile />} />
+              <Route path="/" element={<Navigate to="/dashboard" />} />
+              <Route path="*" element={<NotFound />} />
+            </Routes>
+          </Suspense>
+        </RouteErrorBoundary>
       </AnimatePresence>
     </div>
   );
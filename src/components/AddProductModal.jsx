@@ -10,8 +10,10 @@ import {
   CheckCircleIcon
 } from '@heroicons/react/24/outline';
 import ImageUpload from './ImageUpload';
+import FieldError from './FieldError';
 
-const AddProductModal = ({ isOpen, onClose, onSubmit, wishlistId }) => {
+// `canAdd` follows the user's role, which can change while the modal is open
+const AddProductModal = ({ isOpen, onClose, onSubmit, wishlistId, canAdd = true }) => {
   const [formData, setFormData] = useState({
     name: '',
     description: '',
@@ -26,6 +28,7 @@ const AddProductModal = ({ isOpen, onClose, onSubmit, wishlistId }) => {
   });
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
 
   const priorities = [
     { value: 'low', label: 'Low', color: 'text-green-600 bg-green-100' },
@@ -35,15 +38,24 @@ const AddProductModal = ({ isOpen, onClose, onSubmit, wishlistId }) => {
 
   const currencies = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'JPY'];
 
+  // Fields with an inline error message
+  const shownFields = ['name', 'price', 'category', 'brand', 'productUrl', 'tags', 'description'];
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData({
       ...formData,
       [name]: value,
     });
+    setFieldErrors({ ...fieldErrors, [name]: '' });
     setError('');
   };
 
+  const fieldBorder = (field) =>
+    fieldErrors[field]
+      ? 'border-red-300 focus:ring-red-500'
+      : 'border-gray-300 focus:ring-blue-500';
+
   const handleImageUpload = (imageUrl) => {
     setFormData({
       ...formData,
@@ -60,8 +72,10 @@ const AddProductModal = ({ isOpen, onClose, onSubmit, wishlistId }) => {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    if (!canAdd) return;
     setIsLoading(true);
     setError('');
+    setFieldErrors({});
 
     try {
       const productData = {
@@ -87,7 +101,13 @@ const AddProductModal = ({ isOpen, onClose, onSubmit, wishlistId }) => {
         tags: '',
       });
     } catch (error) {
-      setError(error.message);
+      setFieldErrors(error.fieldErrors || {});
+      // Errors about fields the form doesn't show (e.g. `wishlist`) go in the banner
+      const allShown = error.hasFieldErrors &&
+        Object.keys(error.fieldErrors).every((field) => shownFields.includes(field));
+      if (!allShown) {
+        setError(error.message);
+      }
     } finally {
       setIsLoading(false);
     }
@@ -107,8 +127,8 @@ const AddProductModal = ({ isOpen, onClose, onSubmit, wishlistId }) => {
         priority: 'medium',
         tags: '',
       });
-      setImagePreview('');
       setError('');
+      setFieldErrors({});
       onClose();
     }
   };
@@ -155,6 +175,13 @@ const AddProductModal = ({ isOpen, onClose, onSubmit, wishlistId }) => {
 
               {/* Form */}
               <form onSubmit={handleSubmit} className="p-6 space-y-6">
+                {!canAdd && (
+                  <div className="flex items-center space-x-2 bg-amber-50 border border-amber-200 text-amber-800 px-4 py-3 rounded-lg text-sm">
+                    <ExclamationTriangleIcon className="w-4 h-4 flex-shrink-0" />
+                    <span>Your role on this wishlist no longer allows adding products.</span>
+                  </div>
+                )}
+
                 {/* Image Upload */}
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -184,10 +211,11 @@ const AddProductModal = ({ isOpen, onClose, onSubmit, wishlistId }) => {
                         required
                         value={formData.name}
                         onChange={handleChange}
-                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        className={`w-full px-3 py-2 border ${fieldBorder('name')} rounded-lg focus:outline-none focus:ring-2 focus:border-transparent`}
                         placeholder="Enter product name"
                         disabled={isLoading}
                       />
+                      <FieldError message={fieldErrors.name} />
                     </div>
 
                     {/* Price */}
@@ -208,7 +236,7 @@ const AddProductModal = ({ isOpen, onClose, onSubmit, wishlistId }) => {
                             step="0.01"
                             value={formData.price}
                             onChange={handleChange}
-                            className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                            className={`w-full pl-9 pr-3 py-2 border ${fieldBorder('price')} rounded-lg focus:outline-none focus:ring-2 focus:border-transparent`}
                             placeholder="0.00"
                             disabled={isLoading}
                           />
@@ -225,6 +253,7 @@ const AddProductModal = ({ isOpen, onClose, onSubmit, wishlistId }) => {
                           ))}
                         </select>
                       </div>
+                      <FieldError message={fieldErrors.price} />
                     </div>
 
                     {/* Category */}
@@ -238,10 +267,11 @@ const AddProductModal = ({ isOpen, onClose, onSubmit, wishlistId }) => {
                         name="category"
                         value={formData.category}
                         onChange={handleChange}
-                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        className={`w-full px-3 py-2 border ${fieldBorder('category')} rounded-lg focus:outline-none focus:ring-2 focus:border-transparent`}
                         placeholder="e.g., Electronics, Books, Fashion"
                         disabled={isLoading}
                       />
+                      <FieldError message={fieldErrors.category} />
                     </div>
 
                     {/* Brand */}
@@ -255,10 +285,11 @@ const AddProductModal = ({ isOpen, onClose, onSubmit, wishlistId }) => {
                         name="brand"
                         value={formData.brand}
                         onChange={handleChange}
-                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        className={`w-full px-3 py-2 border ${fieldBorder('brand')} rounded-lg focus:outline-none focus:ring-2 focus:border-transparent`}
                         placeholder="Enter brand name"
                         disabled={isLoading}
                       />
+                      <FieldError message={fieldErrors.brand} />
                     </div>
                   </div>
 
@@ -281,11 +312,12 @@ const AddProductModal = ({ isOpen, onClose, onSubmit, wishlistId }) => {
                           name="productUrl"
                           value={formData.productUrl}
                           onChange={handleChange}
-                          className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          className={`w-full pl-9 pr-3 py-2 border ${fieldBorder('productUrl')} rounded-lg focus:outline-none focus:ring-2 focus:border-transparent`}
                           placeholder="https://store.com/product"
                           disabled={isLoading}
                         />
                       </div>
+                      <FieldError message={fieldErrors.productUrl} />
                     </div>
 
                     {/* Priority */}
@@ -336,11 +368,12 @@ const AddProductModal = ({ isOpen, onClose, onSubmit, wishlistId }) => {
                           name="tags"
                           value={formData.tags}
                           onChange={handleChange}
-                          className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          className={`w-full pl-9 pr-3 py-2 border ${fieldBorder('tags')} rounded-lg focus:outline-none focus:ring-2 focus:border-transparent`}
                           placeholder="tag1, tag2, tag3"
                           disabled={isLoading}
                         />
                       </div>
+                      <FieldError message={fieldErrors.tags} />
                       <p className="text-xs text-gray-500 mt-1">
                         Separate tags with commas
                       </p>
@@ -359,10 +392,11 @@ const AddProductModal = ({ isOpen, onClose, onSubmit, wishlistId }) => {
                     rows={3}
                     value={formData.description}
                     onChange={handleChange}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
+                    className={`w-full px-3 py-2 border ${fieldBorder('description')} rounded-lg focus:outline-none focus:ring-2 focus:border-transparent resize-none`}
                     placeholder="Describe the product..."
                     disabled={isLoading}
                   />
+                  <FieldError message={fieldErrors.description} />
                 </div>
 
                 {/* Error message */}
@@ -391,7 +425,7 @@ const AddProductModal = ({ isOpen, onClose, onSubmit, wishlistId }) => {
                     whileHover={{ scale: isLoading ? 1 : 1.02 }}
                     whileTap={{ scale: isLoading ? 1 : 0.98 }}
                     type="submit"
-                    disabled={isLoading || !formData.name.trim()}
+                    disabled={isLoading || !canAdd || !formData.name.trim()}
                     className="flex-1 px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
                   >
                     {isLoading ? (
@@ -1,6 +1,6 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { CameraIcon } from '@heroicons/react/24/outline';
+import { CameraIcon, XMarkIcon } from '@heroicons/react/24/outline';
 import { generateAvatarUrl } from '../utils/helpers';
 import { uploadAPI } from '../services/api';
 
@@ -12,8 +12,13 @@ const AvatarUpload = ({
   disabled = false 
 }) => {
   const [uploading, setUploading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(0);
   const [error, setError] = useState('');
   const fileInputRef = useRef(null);
+  const abortControllerRef = useRef(null);
+
+  // Abort any upload still in flight when the component goes away
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
 
   const sizeClasses = {
     small: 'w-12 h-12',
@@ -45,35 +50,34 @@ const AvatarUpload = ({
 
     setError('');
     setUploading(true);
+    setUploadProgress(0);
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
 
     try {
-      const response = await uploadAPI.uploadAvatar(file);
+      const response = await uploadAPI.uploadAvatar(file, {
+        onProgress: setUploadProgress,
+        signal: controller.signal,
+      });
       const data = response.data;
 
       if (onUpload) {
         onUpload(data.avatarUrl, data.user);
       }
     } catch (err) {
-      let errorMessage = 'Upload failed';
-
-      if (err.response) {
-        // Server responded with error status
-        errorMessage = err.response.data?.message || err.response.statusText || errorMessage;
-
-        if (err.response.status === 503) {
-          errorMessage = 'Avatar upload service not configured. Please check server configuration.';
-        }
-      } else if (err.request) {
-        // Request was made but no response received
-        errorMessage = 'Unable to connect to server. Please check your connection.';
-      } else {
-        // Something else happened
-        errorMessage = err.message || errorMessage;
-      }
+      // Canceled by the user, nothing to report
+      if (err.code === 'CANCELED') return;
+
+      const errorMessage = err.code === 'SERVICE_UNAVAILABLE'
+        ? 'Avatar upload service not configured. Please check server configuration.'
+        : err.message;
 
       setError(errorMessage);
     } finally {
+      abortControllerRef.current = null;
       setUploading(false);
+      setUploadProgress(0);
       // Clear the file input
       if (fileInputRef.current) {
         fileInputRef.current.value = '';
@@ -87,6 +91,10 @@ const AvatarUpload = ({
     }
   };
 
+  const handleCancel = () => {
+    abortControllerRef.current?.abort();
+  };
+
   const avatarSrc = currentAvatar || generateAvatarUrl(username);
 
   return (
@@ -106,21 +114,22 @@ const AvatarUpload = ({
           whileTap={!disabled && !uploading ? { scale: 0.95 } : {}}
         />
 
-        {/* Upload Button Overlay */}
+        {/* Upload Button Overlay (cancels while an upload is running) */}
         <motion.button
           type="button"
-          onClick={handleClick}
-          disabled={disabled || uploading}
+          onClick={uploading ? handleCancel : handleClick}
+          disabled={disabled}
+          title={uploading ? 'Cancel upload' : 'Change avatar'}
           className={`
-            absolute bottom-0 right-0 p-2 bg-blue-600 text-white rounded-full 
-            hover:bg-blue-700 transition-colors shadow-lg
-            ${disabled || uploading ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}
+            absolute bottom-0 right-0 p-2 text-white rounded-full transition-colors shadow-lg
+            ${uploading ? 'bg-red-500 hover:bg-red-600' : 'bg-blue-600 hover:bg-blue-700'}
+            ${disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}
           `}
-          whileHover={!disabled && !uploading ? { scale: 1.1 } : {}}
-          whileTap={!disabled && !uploading ? { scale: 0.9 } : {}}
+          whileHover={!disabled ? { scale: 1.1 } : {}}
+          whileTap={!disabled ? { scale: 0.9 } : {}}
         >
           {uploading ? (
-            <div className={`${iconSizes[size]} border border-white border-t-transparent rounded-full animate-spin`} />
+            <XMarkIcon className={iconSizes[size]} />
           ) : (
             <CameraIcon className={iconSizes[size]} />
           )}
@@ -133,7 +142,11 @@ const AvatarUpload = ({
             animate={{ opacity: 1 }}
             className="absolute inset-0 bg-black bg-opacity-30 rounded-full flex items-center justify-center"
           >
-            <div className="w-6 h-6 border-2 border-white border-t-transparent rounded-full animate-spin" />
+            {uploadProgress > 0 ? (
+              <span className="text-xs font-semibold text-white">{uploadProgress}%</span>
+            ) : (
+              <div className="w-6 h-6 border-2 border-white border-t-transparent rounded-full animate-spin" />
+            )}
           </motion.div>
         )}
       </div>
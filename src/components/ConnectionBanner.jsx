@@ -0,0 +1,70 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ArrowPathIcon, SignalSlashIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import socketService from '../services/socket';
+import useConnectionStatus from '../hooks/useConnectionStatus';
+
+const banners = {
+  reconnecting: {
+    icon: ArrowPathIcon,
+    message: 'Connection lost. Reconnecting so you get live updates again…',
+    className: 'bg-amber-50 border-amber-200 text-amber-800',
+    canReconnect: true,
+  },
+  unreachable: {
+    icon: ExclamationTriangleIcon,
+    message: "Can't reach the server. Live updates are paused.",
+    className: 'bg-red-50 border-red-200 text-red-700',
+    canReconnect: true,
+  },
+  disconnected: {
+    icon: ExclamationTriangleIcon,
+    message: 'The server closed the connection. Live updates are paused.',
+    className: 'bg-red-50 border-red-200 text-red-700',
+    canReconnect: true,
+  },
+  offline: {
+    icon: SignalSlashIcon,
+    message: "You're offline. Changes will sync when your connection is back.",
+    className: 'bg-gray-100 border-gray-200 text-gray-700',
+    canReconnect: false,
+  },
+};
+
+// Shown under the navbar while live updates aren't flowing
+const ConnectionBanner = () => {
+  const status = useConnectionStatus();
+  const banner = banners[status];
+
+  return (
+    <AnimatePresence>
+      {banner && (
+        <motion.div
+          key={status}
+          initial={{ opacity: 0, height: 0 }}
+          animate={{ opacity: 1, height: 'auto' }}
+          exit={{ opacity: 0, height: 0 }}
+          className={`border-t ${banner.className}`}
+        >
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex items-center justify-between gap-4 text-sm">
+            <div className="flex items-center space-x-2">
+              <banner.icon className={`w-4 h-4 flex-shrink-0 ${status === 'reconnecting' ? 'animate-spin' : ''}`} />
+              <span>{banner.message}</span>
+            </div>
+            {banner.canReconnect && (
+              <button
+                type="button"
+                onClick={() => socketService.reconnect()}
+                className="font-medium underline hover:no-underline whitespace-nowrap"
+              >
+                Reconnect now
+              </button>
+            )}
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default ConnectionBanner;
@@ -0,0 +1,44 @@
+import React from 'react';
+
+// Catches render errors below it and shows `fallback` instead of blanking the
+// app. `fallback` is a node or a function of ({ error, reset }). Changing
+// `resetKey` (e.g. the current path or the item being shown) clears the error.
+class ErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null, resetKey: props.resetKey };
+    this.reset = this.reset.bind(this);
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  static getDerivedStateFromProps(props, state) {
+    if (props.resetKey !== state.resetKey) {
+      return { error: null, resetKey: props.resetKey };
+    }
+    return null;
+  }
+
+  componentDidCatch(error, info) {
+    console.error('Render error:', error, info.componentStack);
+  }
+
+  reset() {
+    this.setState({ error: null });
+  }
+
+  render() {
+    const { error } = this.state;
+    const { fallback, children } = this.props;
+
+    if (!error) {
+      return children;
+    }
+
+    return typeof fallback === 'function' ? fallback({ error, reset: this.reset }) : fallback;
+  }
+}
+
+export default ErrorBoundary;
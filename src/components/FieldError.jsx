@@ -0,0 +1,19 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+
+// Inline validation message shown under a form field
+const FieldError = ({ message }) => {
+  if (!message) return null;
+
+  return (
+    <motion.p
+      initial={{ opacity: 0, y: -4 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="mt-1 text-xs text-red-600"
+    >
+      {message}
+    </motion.p>
+  );
+};
+
+export default FieldError;
@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useRef, useEffect } from 'react';
 import { useDropzone } from 'react-dropzone';
 import { motion, AnimatePresence } from 'framer-motion';
 import { CloudArrowUpIcon, XMarkIcon, PhotoIcon } from '@heroicons/react/24/outline';
@@ -18,6 +18,10 @@ const ImageUpload = ({
   const [uploadProgress, setUploadProgress] = useState(0);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState(false);
+  const abortControllerRef = useRef(null);
+
+  // Abort any upload still in flight when the component goes away
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
 
   const onDrop = useCallback(async (acceptedFiles, rejectedFiles) => {
     if (rejectedFiles.length > 0) {
@@ -40,13 +44,17 @@ const ImageUpload = ({
     setUploading(true);
     setUploadProgress(0);
 
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    const options = { onProgress: setUploadProgress, signal: controller.signal };
+
     try {
       let response;
 
       if (uploadType === 'avatar') {
-        response = await uploadAPI.uploadAvatar(file);
+        response = await uploadAPI.uploadAvatar(file, options);
       } else {
-        response = await uploadAPI.uploadProductImage(file);
+        response = await uploadAPI.uploadProductImage(file, options);
       }
 
       const data = response.data;
@@ -60,25 +68,16 @@ const ImageUpload = ({
       // Clear success message after 3 seconds
       setTimeout(() => setSuccess(false), 3000);
     } catch (err) {
-      let errorMessage = 'Upload failed';
-
-      if (err.response) {
-        // Server responded with error status
-        errorMessage = err.response.data?.message || err.response.statusText || errorMessage;
-
-        if (err.response.status === 503) {
-          errorMessage = 'Image upload service not configured. Please check server configuration.';
-        }
-      } else if (err.request) {
-        // Request was made but no response received
-        errorMessage = 'Unable to connect to server. Please check your connection.';
-      } else {
-        // Something else happened
-        errorMessage = err.message || errorMessage;
-      }
+      // Canceled by the user, nothing to report
+      if (err.code === 'CANCELED') return;
+
+      const errorMessage = err.code === 'SERVICE_UNAVAILABLE'
+        ? 'Image upload service not configured. Please check server configuration.'
+        : err.message;
 
       setError(errorMessage);
     } finally {
+      abortControllerRef.current = null;
       setUploading(false);
       setTimeout(() => setUploadProgress(0), 1000);
     }
@@ -94,6 +93,11 @@ const ImageUpload = ({
     disabled: disabled || uploading,
   });
 
+  const handleCancel = (event) => {
+    event.stopPropagation();
+    abortControllerRef.current?.abort();
+  };
+
   const handleRemove = () => {
     if (onRemove) {
       onRemove();
@@ -155,9 +159,11 @@ const ImageUpload = ({
                 className="text-center"
               >
                 <div className="w-8 h-8 border-2 border-blue-600 border-t-transparent rounded-full animate-spin mx-auto mb-2" />
-                <p className="text-sm text-gray-600">Uploading...</p>
+                <p className="text-sm text-gray-600">
+                  Uploading... {uploadProgress > 0 && `${uploadProgress}%`}
+                </p>
                 {uploadProgress > 0 && (
-                  <div className="w-full bg-gray-200 rounded-full h-1 mt-2">
+                  <div className="w-32 bg-gray-200 rounded-full h-1 mt-2 mx-auto">
                     <motion.div
                       className="bg-blue-600 h-1 rounded-full"
                       initial={{ width: 0 }}
@@ -166,6 +172,13 @@ const ImageUpload = ({
                     />
                   </div>
                 )}
+                <button
+                  type="button"
+                  onClick={handleCancel}
+                  className="mt-3 text-xs text-gray-600 hover:text-red-600 underline transition-colors"
+                >
+                  Cancel
+                </button>
               </motion.div>
             ) : success ? (
               <motion.div
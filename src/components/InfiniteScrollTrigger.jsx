@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import useInfiniteScroll from '../hooks/useInfiniteScroll';
+
+// Placed after a paginated list: loads the next page as it scrolls into view
+// and offers a retry button if loading fails
+const InfiniteScrollTrigger = ({ hasNextPage, isFetchingNextPage, onLoadMore }) => {
+  const [error, setError] = useState('');
+
+  const loadMore = async () => {
+    setError('');
+    try {
+      await onLoadMore();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const sentinelRef = useInfiniteScroll(loadMore, {
+    enabled: hasNextPage && !isFetchingNextPage && !error,
+  });
+
+  if (!hasNextPage) {
+    return null;
+  }
+
+  return (
+    <div ref={sentinelRef} className="flex flex-col items-center justify-center py-8">
+      {error ? (
+        <>
+          <p className="text-sm text-red-600 mb-2">{error}</p>
+          <button
+            type="button"
+            onClick={loadMore}
+            className="px-4 py-2 text-sm text-blue-600 hover:text-blue-700 hover:bg-blue-50 rounded-lg transition-colors"
+          >
+            Try again
+          </button>
+        </>
+      ) : (
+        <div className="flex items-center space-x-2 text-sm text-gray-500">
+          <div className="w-4 h-4 border-2 border-blue-600 border-t-transparent rounded-full animate-spin" />
+          <span>Loading more...</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InfiniteScrollTrigger;
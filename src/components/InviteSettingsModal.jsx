@@ -0,0 +1,443 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  XMarkIcon,
+  LinkIcon,
+  ClipboardIcon,
+  NoSymbolIcon,
+  CheckIcon,
+  ArrowPathIcon
+} from '@heroicons/react/24/outline';
+import { wishlistsAPI } from '../services/api';
+import socketService from '../services/socket';
+import queryCache, { queryKeys, setInviteInCache, updateWishlistInCache } from '../services/queryCache';
+import useQuery from '../hooks/useQuery';
+import { copyToClipboard, formatDate, getInviteUrl } from '../utils/helpers';
+import { ROLE_DETAILS } from '../utils/permissions';
+import FieldError from './FieldError';
+
+const EMPTY_FORM = { role: 'editor', expiresOn: '', maxUses: '' };
+
+// `yyyy-mm-dd` in local time, the format date inputs use
+const toDateInputValue = (date) =>
+  [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map((part) => String(part).padStart(2, '0'))
+    .join('-');
+
+const describeUses = (invite) =>
+  invite.maxUses
+    ? `${invite.uses} of ${invite.maxUses} uses`
+    : `${invite.uses} ${invite.uses === 1 ? 'use' : 'uses'}, no limit`;
+
+// Create invite links with a role, expiry date and usage limit. A new link is
+// only shown to whoever made it; "Copy Invite Link" keeps sharing the
+// wishlist's default editor invite, which can be replaced here. Owners and
+// admins also see the active invites and can revoke them.
+const InviteSettingsModal = ({ isOpen, onClose, wishlist, permissions }) => {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [isCreating, setIsCreating] = useState(false);
+  const [revokingCode, setRevokingCode] = useState(null);
+  const [isRotating, setIsRotating] = useState(false);
+  const [createdInvite, setCreatedInvite] = useState(null);
+
+  const { data: invites, isLoading: isLoadingInvites, error: invitesError } = useQuery(
+    queryKeys.invites(wishlist._id),
+    async () => {
+      const response = await wishlistsAPI.getInvites(wishlist._id);
+      return response.data;
+    },
+    { enabled: isOpen && permissions.canManageInvites }
+  );
+  const activeInvites = (invites || []).filter((invite) => invite.status === 'active');
+  const inactiveCount = (invites || []).length - activeInvites.length;
+
+  // Members copy the default invite, so stop them sharing a revoked one
+  const clearDefaultInvite = () => {
+    updateWishlistInCache({ _id: wishlist._id, inviteCode: null });
+    socketService.emitWishlistUpdated({ wishlistId: wishlist._id, wishlist: { _id: wishlist._id, inviteCode: null } });
+  };
+
+  const showMessage = (text) => {
+    setMessage(text);
+    setTimeout(() => setMessage(''), 3000);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({ ...formData, [name]: value });
+    setFieldErrors({ ...fieldErrors, [name]: undefined });
+    setError('');
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsCreating(true);
+    setFieldErrors({});
+    setError('');
+
+    try {
+      // The link works through the whole of the chosen day
+      const response = await wishlistsAPI.createInvite(wishlist._id, {
+        role: formData.role,
+        expiresAt: formData.expiresOn ? new Date(`${formData.expiresOn}T23:59:59`).toISOString() : null,
+        maxUses: formData.maxUses ? Number(formData.maxUses) : null,
+      });
+      const { invite } = response.data;
+      setCreatedInvite(invite);
+      setFormData(EMPTY_FORM);
+      queryCache.invalidate(queryKeys.invites(wishlist._id));
+
+      const copied = await copyToClipboard(getInviteUrl(invite.code));
+      showMessage(copied ? 'Invite link created and copied!' : 'Invite link created');
+    } catch (error) {
+      // `expiresAt` is entered as a date
+      const { expiresAt, ...errors } = error.fieldErrors || {};
+      setFieldErrors({ ...errors, expiresOn: expiresAt });
+      // Errors about fields the form doesn't show go in the banner
+      const allShown = error.hasFieldErrors &&
+        Object.keys(error.fieldErrors).every((field) => ['role', 'expiresAt', 'maxUses'].includes(field));
+      if (!allShown) {
+        setError(error.message);
+      }
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  // Swap the default invite for a new one; the old link stops working
+  const handleRotateDefault = async () => {
+    if (
+      wishlist.inviteCode &&
+      !window.confirm('Replace the default invite link? The current one will stop working.')
+    ) {
+      return;
+    }
+
+    setIsRotating(true);
+    setError('');
+
+    try {
+      const response = await wishlistsAPI.generateInvite(wishlist._id);
+      const { inviteCode } = response.data;
+      // Not broadcast: viewers can't invite, so they don't get the code
+      updateWishlistInCache({ _id: wishlist._id, inviteCode });
+      queryCache.invalidate(queryKeys.invites(wishlist._id));
+
+      const copied = await copyToClipboard(getInviteUrl(inviteCode));
+      showMessage(copied ? 'New default link created and copied!' : 'New default link created');
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setIsRotating(false);
+    }
+  };
+
+  const handleCopy = async (invite) => {
+    const copied = await copyToClipboard(getInviteUrl(invite.code));
+    showMessage(copied ? 'Invite link copied!' : 'Failed to copy invite link');
+  };
+
+  const handleRevoke = async (invite) => {
+    if (!window.confirm('Revoke this invite link? Anyone who has it will no longer be able to join.')) {
+      return;
+    }
+
+    setRevokingCode(invite.code);
+    setError('');
+
+    try {
+      const response = await wishlistsAPI.revokeInvite(wishlist._id, invite.code);
+      setInviteInCache(wishlist._id, response.data.invite);
+      if (invite.code === createdInvite?.code) {
+        setCreatedInvite(response.data.invite);
+      }
+      if (invite.code === wishlist.inviteCode) {
+        clearDefaultInvite();
+      }
+      showMessage('Invite link revoked');
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setRevokingCode(null);
+    }
+  };
+
+  const handleClose = () => {
+    if (!isCreating) {
+      setFormData(EMPTY_FORM);
+      setFieldErrors({});
+      setError('');
+      setCreatedInvite(null);
+      onClose();
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+          {/* Backdrop */}
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={handleClose}
+            className="fixed inset-0 bg-black/20 backdrop-blur-sm transition-opacity"
+          />
+
+          {/* Modal */}
+          <div className="flex min-h-full items-center justify-center p-4">
+            <motion.div
+              initial={{ opacity: 0, scale: 0.95, y: 20 }}
+              animate={{ opacity: 1, scale: 1, y: 0 }}
+              exit={{ opacity: 0, scale: 0.95, y: 20 }}
+              className="relative w-full max-w-lg bg-white rounded-xl shadow-xl"
+            >
+              {/* Header */}
+              <div className="flex items-center justify-between p-6 border-b border-gray-200">
+                <div className="flex items-center space-x-3">
+                  <div className="w-8 h-8 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg flex items-center justify-center">
+                    <LinkIcon className="w-5 h-5 text-white" />
+                  </div>
+                  <h3 className="text-lg font-semibold text-gray-900">
+                    Invite Links
+                  </h3>
+                </div>
+                <button
+                  onClick={handleClose}
+                  disabled={isCreating}
+                  className="p-2 text-gray-400 hover:text-gray-600 transition-colors disabled:opacity-50"
+                >
+                  <XMarkIcon className="w-5 h-5" />
+                </button>
+              </div>
+
+              {/* Default invite */}
+              <div className="flex items-center justify-between gap-3 px-6 pt-6">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900">Default invite link</p>
+                  <p className="text-xs text-gray-500 truncate">
+                    {wishlist.inviteCode ? (
+                      <>
+                        <span className="font-mono">{wishlist.inviteCode}</span> · shared by "Copy Invite Link"
+                      </>
+                    ) : (
+                      'None yet, one is made when you copy the invite link'
+                    )}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={handleRotateDefault}
+                  disabled={isRotating}
+                  className="flex items-center space-x-1 px-3 py-2 text-sm text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50 transition-colors disabled:opacity-50 flex-shrink-0"
+                  title="Generate a new default invite link, the current one stops working"
+                >
+                  <ArrowPathIcon className={`w-4 h-4 ${isRotating ? 'animate-spin' : ''}`} />
+                  <span>New link</span>
+                </button>
+              </div>
+
+              {/* New invite */}
+              <form onSubmit={handleCreate} className="p-6 space-y-4">
+                <div>
+                  <label htmlFor="inviteRole" className="block text-sm font-medium text-gray-700 mb-1">
+                    Joins as
+                  </label>
+                  <select
+                    id="inviteRole"
+                    name="role"
+                    value={formData.role}
+                    onChange={handleChange}
+                    disabled={isCreating}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  >
+                    {permissions.inviteRoles.map((role) => (
+                      <option key={role} value={role}>{ROLE_DETAILS[role].label}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">{ROLE_DETAILS[formData.role]?.description}</p>
+                  <FieldError message={fieldErrors.role} />
+                </div>
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div>
+                    <label htmlFor="inviteExpiresOn" className="block text-sm font-medium text-gray-700 mb-1">
+                      Expires on
+                    </label>
+                    <input
+                      type="date"
+                      id="inviteExpiresOn"
+                      name="expiresOn"
+                      value={formData.expiresOn}
+                      min={toDateInputValue(new Date())}
+                      onChange={handleChange}
+                      disabled={isCreating}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">Leave empty to never expire</p>
+                    <FieldError message={fieldErrors.expiresOn} />
+                  </div>
+                  <div>
+                    <label htmlFor="inviteMaxUses" className="block text-sm font-medium text-gray-700 mb-1">
+                      Maximum uses
+                    </label>
+                    <input
+                      type="number"
+                      id="inviteMaxUses"
+                      name="maxUses"
+                      min="1"
+                      step="1"
+                      value={formData.maxUses}
+                      onChange={handleChange}
+                      disabled={isCreating}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      placeholder="No limit"
+                    />
+                    <FieldError message={fieldErrors.maxUses} />
+                  </div>
+                </div>
+
+                <AnimatePresence>
+                  {error && (
+                    <motion.div
+                      initial={{ opacity: 0, y: -10 }}
+                      animate={{ opacity: 1, y: 0 }}
+                      exit={{ opacity: 0, y: -10 }}
+                      className="bg-red-50 border border-red-200 text-red-700 px-3 py-2 rounded-lg text-sm"
+                    >
+                      {error}
+                    </motion.div>
+                  )}
+                  {message && (
+                    <motion.div
+                      initial={{ opacity: 0, y: -10 }}
+                      animate={{ opacity: 1, y: 0 }}
+                      exit={{ opacity: 0, y: -10 }}
+                      className="flex items-center space-x-1 bg-green-50 border border-green-200 text-green-700 px-3 py-2 rounded-lg text-sm"
+                    >
+                      <CheckIcon className="w-4 h-4" />
+                      <span>{message}</span>
+                    </motion.div>
+                  )}
+                </AnimatePresence>
+
+                {createdInvite && createdInvite.status === 'active' && (
+                  <div className="flex items-center justify-between gap-3 p-3 bg-blue-50 border border-blue-200 rounded-lg">
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900">Your new invite link</p>
+                      <p className="text-xs text-gray-600 truncate">
+                        <span className="font-mono">{createdInvite.code}</span> ·{' '}
+                        {ROLE_DETAILS[createdInvite.role]?.label || createdInvite.role} ·{' '}
+                        {createdInvite.maxUses ? `${createdInvite.maxUses} ${createdInvite.maxUses === 1 ? 'use' : 'uses'}` : 'no use limit'} ·{' '}
+                        {createdInvite.expiresAt ? `expires ${formatDate(createdInvite.expiresAt)}` : 'never expires'}
+                      </p>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => handleCopy(createdInvite)}
+                      className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-100 rounded-lg transition-colors flex-shrink-0"
+                      title="Copy invite link"
+                    >
+                      <ClipboardIcon className="w-4 h-4" />
+                    </button>
+                  </div>
+                )}
+
+                <motion.button
+                  whileHover={{ scale: isCreating ? 1 : 1.02 }}
+                  whileTap={{ scale: isCreating ? 1 : 0.98 }}
+                  type="submit"
+                  disabled={isCreating}
+                  className="w-full px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg hover:from-blue-700 hover:to-purple-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isCreating ? 'Creating...' : 'Create and copy invite link'}
+                </motion.button>
+              </form>
+
+              {/* Active invites */}
+              {permissions.canManageInvites && (
+                <div className="px-6 pb-6">
+                  <div className="border-t pt-4">
+                    <h4 className="text-sm font-semibold text-gray-900 mb-3">
+                      Active invites{invites && ` (${activeInvites.length})`}
+                    </h4>
+
+                    {isLoadingInvites ? (
+                      <p className="text-sm text-gray-500">Loading invites...</p>
+                    ) : invitesError && !invites ? (
+                      <p className="text-sm text-red-600">{invitesError.message}</p>
+                    ) : activeInvites.length === 0 ? (
+                      <p className="text-sm text-gray-500">No active invite links.</p>
+                    ) : (
+                      <ul className="space-y-2 max-h-64 overflow-y-auto">
+                        {activeInvites.map((invite) => (
+                          <li
+                            key={invite.code}
+                            className={`flex items-center justify-between gap-3 p-3 bg-gray-50 border border-gray-200 rounded-lg ${
+                              revokingCode === invite.code ? 'opacity-60' : ''
+                            }`}
+                          >
+                            <div className="min-w-0">
+                              <p className="text-sm font-medium text-gray-900">
+                                <span className="font-mono">{invite.code}</span>
+                                <span className="ml-2 text-xs font-normal text-blue-700 bg-blue-100 px-1.5 py-0.5 rounded">
+                                  {ROLE_DETAILS[invite.role]?.label || invite.role}
+                                </span>
+                                {invite.code === wishlist.inviteCode && (
+                                  <span
+                                    className="ml-1 text-xs font-normal text-gray-600 bg-gray-200 px-1.5 py-0.5 rounded"
+                                    title='Shared by "Copy Invite Link"'
+                                  >
+                                    Default
+                                  </span>
+                                )}
+                              </p>
+                              <p className="text-xs text-gray-500 truncate">
+                                {describeUses(invite)} ·{' '}
+                                {invite.expiresAt ? `expires ${formatDate(invite.expiresAt)}` : 'never expires'} ·{' '}
+                                by {invite.createdBy.username}
+                              </p>
+                            </div>
+                            <div className="flex items-center space-x-1 flex-shrink-0">
+                              <button
+                                onClick={() => handleCopy(invite)}
+                                className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                                title="Copy invite link"
+                              >
+                                <ClipboardIcon className="w-4 h-4" />
+                              </button>
+                              <button
+                                onClick={() => handleRevoke(invite)}
+                                disabled={revokingCode === invite.code}
+                                className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
+                                title="Revoke invite link"
+                              >
+                                <NoSymbolIcon className="w-4 h-4" />
+                              </button>
+                            </div>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+
+                    {inactiveCount > 0 && (
+                      <p className="text-xs text-gray-400 mt-3">
+                        {inactiveCount} expired, used up or revoked {inactiveCount === 1 ? 'invite' : 'invites'} not shown
+                      </p>
+                    )}
+                  </div>
+                </div>
+              )}
+            </motion.div>
+          </div>
+        </div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default InviteSettingsModal;
@@ -2,26 +2,27 @@ import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { XMarkIcon, UserPlusIcon } from '@heroicons/react/24/outline';
 import { wishlistsAPI } from '../services/api';
+import { parseInviteCode, INVITE_ERROR_TITLES } from '../utils/helpers';
 
 const JoinWishlistModal = ({ isOpen, onClose, onSuccess }) => {
   const [inviteCode, setInviteCode] = useState('');
   const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState('');
+  const [error, setError] = useState(null);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (!inviteCode.trim()) return;
 
     setIsLoading(true);
-    setError('');
+    setError(null);
 
     try {
-      const response = await wishlistsAPI.joinByInvite(inviteCode.trim());
+      const response = await wishlistsAPI.joinByInvite(parseInviteCode(inviteCode));
       onSuccess(response.data.wishlist);
       setInviteCode('');
       onClose();
     } catch (error) {
-      setError(error.response?.data?.message || 'Failed to join wishlist');
+      setError(error);
     } finally {
       setIsLoading(false);
     }
@@ -30,7 +31,7 @@ const JoinWishlistModal = ({ isOpen, onClose, onSuccess }) => {
   const handleClose = () => {
     if (!isLoading) {
       setInviteCode('');
-      setError('');
+      setError(null);
       onClose();
     }
   };
@@ -79,7 +80,7 @@ const JoinWishlistModal = ({ isOpen, onClose, onSuccess }) => {
               <form onSubmit={handleSubmit} className="p-6 space-y-4">
                 <div>
                   <label htmlFor="inviteCode" className="block text-sm font-medium text-gray-700 mb-1">
-                    Invite Code
+                    Invite Link or Code
                   </label>
                   <input
                     type="text"
@@ -87,15 +88,15 @@ const JoinWishlistModal = ({ isOpen, onClose, onSuccess }) => {
                     value={inviteCode}
                     onChange={(e) => {
                       setInviteCode(e.target.value);
-                      setError('');
+                      setError(null);
                     }}
                     className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                    placeholder="Enter the invite code"
+                    placeholder="Paste the invite link or code"
                     disabled={isLoading}
                     autoFocus
                   />
                   <p className="text-xs text-gray-500 mt-1">
-                    Ask the wishlist owner for the invite code
+                    Ask a member of the wishlist for an invite link
                   </p>
                 </div>
 
@@ -106,7 +107,13 @@ const JoinWishlistModal = ({ isOpen, onClose, onSuccess }) => {
                     animate={{ opacity: 1, y: 0 }}
                     className="bg-red-50 border border-red-200 text-red-700 px-3 py-2 rounded-lg text-sm"
                   >
-                    {error}
+                    {INVITE_ERROR_TITLES[error.code] && (
+                      <p className="font-medium">{INVITE_ERROR_TITLES[error.code]}</p>
+                    )}
+                    <p>{error.message}</p>
+                    {INVITE_ERROR_TITLES[error.code] && (
+                      <p className="mt-1 text-red-600">Ask a member of the wishlist for a new invite link.</p>
+                    )}
                   </motion.div>
                 )}
 
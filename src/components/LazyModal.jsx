@@ -0,0 +1,24 @@
+import React, { Suspense, useState } from 'react';
+
+// Mounts a lazily loaded modal the first time it opens and keeps it mounted
+// afterwards so its exit animation still plays on close
+const LazyModal = ({ component, isOpen, ...props }) => {
+  const Modal = component;
+  const [hasOpened, setHasOpened] = useState(isOpen);
+
+  if (isOpen && !hasOpened) {
+    setHasOpened(true);
+  }
+
+  if (!hasOpened) {
+    return null;
+  }
+
+  return (
+    <Suspense fallback={null}>
+      <Modal isOpen={isOpen} {...props} />
+    </Suspense>
+  );
+};
+
+export default LazyModal;
@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { wishlistsAPI } from '../services/api';
+import socketService from '../services/socket';
+import { setMembersInCache, removeMemberFromCache } from '../services/queryCache';
+import { ArrowRightOnRectangleIcon, UserMinusIcon, StarIcon } from '@heroicons/react/24/outline';
+import { formatRelativeTime, generateAvatarUrl, getDisplayName } from '../utils/helpers';
+import { ROLE_DETAILS, getMemberRole } from '../utils/permissions';
+import UserLink from './UserLink';
+
+// Members of a wishlist. Owners and admins can change roles and remove
+// people here, and the owner can hand the wishlist over to someone else.
+const MembersPanel = ({ wishlist, currentUserId, permissions, onLeave }) => {
+  const [busyMemberId, setBusyMemberId] = useState(null);
+  const [error, setError] = useState('');
+  const collaborators = wishlist.collaborators || [];
+
+  // Run a member change, then share the new member list with everyone in the room
+  const updateMembers = async (memberId, request) => {
+    setBusyMemberId(memberId);
+    setError('');
+
+    try {
+      const response = await request();
+      const { owner, collaborators: updated } = response.data;
+      setMembersInCache(wishlist._id, { owner, collaborators: updated });
+      socketService.emitWishlistUpdated({
+        wishlistId: wishlist._id,
+        wishlist: { _id: wishlist._id, owner, collaborators: updated },
+      });
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setBusyMemberId(null);
+    }
+  };
+
+  const handleRoleChange = (member, role) =>
+    updateMembers(member.user._id, () => wishlistsAPI.updateMemberRole(wishlist._id, member.user._id, role));
+
+  const handleRemove = async (member) => {
+    if (!window.confirm(`Remove ${member.user.username} from this wishlist?`)) {
+      return;
+    }
+
+    setBusyMemberId(member.user._id);
+    setError('');
+
+    try {
+      await wishlistsAPI.removeMember(wishlist._id, member.user._id);
+      removeMemberFromCache(wishlist._id, member.user._id);
+      // Sends the removed member back to their dashboard too
+      socketService.emitMemberLeft({ wishlistId: wishlist._id, userId: member.user._id });
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setBusyMemberId(null);
+    }
+  };
+
+  const handleTransfer = (member) => {
+    if (!window.confirm(
+      `Make ${member.user.username} the owner of "${wishlist.title}"? You will stay on as an admin.`
+    )) {
+      return;
+    }
+
+    updateMembers(member.user._id, () => wishlistsAPI.transferOwnership(wishlist._id, member.user._id));
+  };
+
+  return (
+    <div className="border-t pt-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">
+          Members ({collaborators.length + 1})
+        </h3>
+        {permissions.isMember && !permissions.isOwner && (
+          <button
+            onClick={onLeave}
+            className="flex items-center space-x-1 px-3 py-1.5 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+          >
+            <ArrowRightOnRectangleIcon className="w-4 h-4" />
+            <span>Leave wishlist</span>
+          </button>
+        )}
+      </div>
+
+      <AnimatePresence>
+        {error && (
+          <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+            className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm mb-3"
+          >
+            {error}
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      <div className="space-y-3">
+        {/* Owner */}
+        <div className="flex items-center justify-between p-3 bg-amber-50 border border-amber-200 rounded-lg">
+          <div className="flex items-center space-x-3">
+            <UserLink user={wishlist.owner}>
+              <img
+                src={wishlist.owner?.avatar || generateAvatarUrl(getDisplayName(wishlist.owner))}
+                alt={getDisplayName(wishlist.owner)}
+                className="w-10 h-10 rounded-full border-2 border-amber-300"
+              />
+            </UserLink>
+            <div>
+              <UserLink user={wishlist.owner} className="font-medium text-gray-900">
+                {getDisplayName(wishlist.owner)}
+              </UserLink>
+              {wishlist.owner?._id === currentUserId && <span className="ml-1 text-sm text-gray-500">(you)</span>}
+              <p className="text-sm text-amber-700">Owner</p>
+            </div>
+          </div>
+          <div className="text-sm text-amber-600 font-medium">👑</div>
+        </div>
+
+        {/* Collaborators */}
+        {collaborators.map((collab) => {
+          const canManage = permissions.canManageMember(collab);
+          const isBusy = busyMemberId === collab.user._id;
+
+          return (
+            <div
+              key={collab.user._id}
+              className={`flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-3 bg-blue-50 border border-blue-200 rounded-lg ${
+                isBusy ? 'opacity-60' : ''
+              }`}
+            >
+              <div className="flex items-center space-x-3">
+                <UserLink user={collab.user}>
+                  <img
+                    src={collab.user.avatar || generateAvatarUrl(collab.user.username)}
+                    alt={collab.user.username}
+                    className="w-10 h-10 rounded-full border-2 border-blue-300"
+                  />
+                </UserLink>
+                <div>
+                  <UserLink user={collab.user} className="font-medium text-gray-900">
+                    {collab.user.username}
+                  </UserLink>
+                  {collab.user._id === currentUserId && <span className="ml-1 text-sm text-gray-500">(you)</span>}
+                  <p className="text-sm text-blue-700" title={ROLE_DETAILS[getMemberRole(collab)]?.description}>
+                    {ROLE_DETAILS[getMemberRole(collab)]?.label} · joined {formatRelativeTime(collab.joinedAt)}
+                  </p>
+                </div>
+              </div>
+
+              {canManage && (
+                <div className="flex items-center space-x-2">
+                  <select
+                    value={getMemberRole(collab)}
+                    onChange={(e) => handleRoleChange(collab, e.target.value)}
+                    disabled={isBusy}
+                    className="px-2 py-1.5 text-sm border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    aria-label={`Role of ${collab.user.username}`}
+                  >
+                    {permissions.assignableRoles.map((role) => (
+                      <option key={role} value={role}>{ROLE_DETAILS[role].label}</option>
+                    ))}
+                  </select>
+                  {permissions.canTransferOwnership && (
+                    <button
+                      onClick={() => handleTransfer(collab)}
+                      disabled={isBusy}
+                      className="p-2 text-gray-500 hover:text-amber-600 hover:bg-amber-50 rounded-lg transition-colors disabled:opacity-50"
+                      title="Make owner"
+                    >
+                      <StarIcon className="w-4 h-4" />
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleRemove(collab)}
+                    disabled={isBusy}
+                    className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
+                    title="Remove from wishlist"
+                  >
+                    <UserMinusIcon className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default MembersPanel;
@@ -8,9 +8,12 @@ import {
   Bars3Icon, 
   XMarkIcon,
   ArrowRightOnRectangleIcon,
-  PlusIcon
+  PlusIcon,
+  GlobeAltIcon
 } from '@heroicons/react/24/outline';
 import { generateAvatarUrl } from '../utils/helpers';
+import ConnectionBanner from './ConnectionBanner';
+import { preloadRoute } from '../pages/lazy';
 
 const Navbar = () => {
   const { user, isAuthenticated, logout } = useAuth();
@@ -29,6 +32,7 @@ const Navbar = () => {
 
   const navItems = [
     { name: 'Dashboard', path: '/dashboard', icon: HeartIcon },
+    { name: 'Explore', path: '/explore', icon: GlobeAltIcon },
     { name: 'Profile', path: '/profile', icon: UserIcon },
   ];
 
@@ -37,7 +41,11 @@ const Navbar = () => {
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
         <div className="flex justify-between items-center h-16">
           {/* Logo */}
-          <Link to="/dashboard" className="flex items-center space-x-2">
+          <Link
+            to="/dashboard"
+            onMouseEnter={() => preloadRoute('/dashboard')}
+            className="flex items-center space-x-2"
+          >
             <motion.div
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
@@ -60,6 +68,8 @@ const Navbar = () => {
                 <Link
                   key={item.name}
                   to={item.path}
+                  onMouseEnter={() => preloadRoute(item.path)}
+                  onFocus={() => preloadRoute(item.path)}
                   className={`flex items-center space-x-1 px-3 py-2 rounded-md text-sm font-medium transition-colors ${
                     isActive
                       ? 'text-blue-600 bg-blue-50'
@@ -141,6 +151,7 @@ const Navbar = () => {
                   <Link
                     key={item.name}
                     to={item.path}
+                    onTouchStart={() => preloadRoute(item.path)}
                     onClick={() => setIsMobileMenuOpen(false)}
                     className={`flex items-center space-x-2 px-3 py-2 rounded-md text-base font-medium ${
                       isActive
@@ -178,6 +189,9 @@ const Navbar = () => {
           </motion.div>
         )}
       </AnimatePresence>
+
+      {/* Real-time connection status */}
+      <ConnectionBanner />
     </nav>
   );
 };
@@ -0,0 +1,67 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { generateAvatarUrl } from '../utils/helpers';
+import UserLink from './UserLink';
+
+const MAX_VISIBLE = 5;
+
+const statusStyles = {
+  active: { dot: 'bg-green-500', label: 'viewing now' },
+  idle: { dot: 'bg-yellow-400', label: 'idle' },
+  away: { dot: 'bg-gray-400', label: 'away' },
+};
+
+// Avatar stack of the other people who have this wishlist open
+const PresenceAvatars = ({ viewers }) => {
+  if (viewers.length === 0) {
+    return null;
+  }
+
+  const visible = viewers.slice(0, MAX_VISIBLE);
+  const hidden = viewers.slice(MAX_VISIBLE);
+
+  return (
+    <div className="flex items-center space-x-2">
+      <div className="flex -space-x-2">
+        <AnimatePresence>
+          {visible.map(({ user, status }) => (
+            <motion.div
+              key={user._id}
+              initial={{ opacity: 0, scale: 0.5 }}
+              animate={{ opacity: 1, scale: 1 }}
+              exit={{ opacity: 0, scale: 0.5 }}
+              className="relative"
+              title={`${user.username} · ${statusStyles[status].label}`}
+            >
+              <UserLink user={user}>
+                <img
+                  src={user.avatar || generateAvatarUrl(user.username)}
+                  alt={user.username}
+                  className={`w-8 h-8 rounded-full border-2 border-white ${
+                    status === 'active' ? '' : 'opacity-60'
+                  }`}
+                />
+              </UserLink>
+              <span
+                className={`absolute bottom-0 right-0 w-2.5 h-2.5 rounded-full border-2 border-white ${statusStyles[status].dot}`}
+              />
+            </motion.div>
+          ))}
+        </AnimatePresence>
+        {hidden.length > 0 && (
+          <div
+            className="w-8 h-8 rounded-full border-2 border-white bg-gray-200 flex items-center justify-center text-xs text-gray-600"
+            title={hidden.map(({ user }) => user.username).join(', ')}
+          >
+            +{hidden.length}
+          </div>
+        )}
+      </div>
+      <span className="text-sm text-gray-500">
+        {viewers.length === 1 ? '1 other viewer' : `${viewers.length} other viewers`}
+      </span>
+    </div>
+  );
+};
+
+export default PresenceAvatars;
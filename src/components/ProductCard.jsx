@@ -3,6 +3,11 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { useAuth } from '../context/AuthContext';
 import { productsAPI } from '../services/api';
 import socketService from '../services/socket';
+import offlineQueue from '../services/offlineQueue';
+import useOfflineQueue from '../hooks/useOfflineQueue';
+import useTypingIndicator, { describeTyping } from '../hooks/useTypingIndicator';
+import useConnectionStatus from '../hooks/useConnectionStatus';
+import { isDegraded } from '../services/connectionStatus';
 import {
   HeartIcon,
   ChatBubbleLeftIcon,
@@ -10,7 +15,10 @@ import {
   PencilIcon,
   TrashIcon,
   ArrowTopRightOnSquareIcon,
-  FaceSmileIcon
+  FaceSmileIcon,
+  CloudArrowUpIcon,
+  ExclamationTriangleIcon,
+  ArrowPathIcon
 } from '@heroicons/react/24/outline';
 import { HeartIcon as HeartSolidIcon } from '@heroicons/react/24/solid';
 import {
@@ -21,14 +29,27 @@ import {
   getStatusColor,
   ensureUrlProtocol
 } from '../utils/helpers';
+import UserLink from './UserLink';
+import ErrorBoundary from './ErrorBoundary';
 
-const ProductCard = ({ product, onUpdate, onDelete, canEdit }) => {
+// `permissions` comes from getPermissions() for the wishlist; without it the
+// card offers no edit or delete actions. `readOnly` is for public pages:
+// reactions are shown but can't be changed, and comments are hidden.
+const ProductCardContent = ({ product, onUpdate, onDelete, permissions, isPending = false, readOnly = false }) => {
+  const canModify = Boolean(permissions?.canModifyProduct(product));
   const { user } = useAuth();
+  const mutations = useOfflineQueue();
+  const canBroadcast = !isDegraded(useConnectionStatus());
   const [showComments, setShowComments] = useState(false);
   const [showReactions, setShowReactions] = useState(false);
   const [newComment, setNewComment] = useState('');
   const [isSubmittingComment, setIsSubmittingComment] = useState(false);
   const [showMenu, setShowMenu] = useState(false);
+  const { typingUsers, notifyTyping, stopTyping } = useTypingIndicator(
+    isPending || readOnly ? null : product.wishlist,
+    product._id,
+    user
+  );
 
   const reactions = ['❤️', '👍', '👎', '😍', '🤔', '💰', '🔥', '⭐'];
 
@@ -38,27 +59,34 @@ const ProductCard = ({ product, onUpdate, onDelete, canEdit }) => {
     return acc;
   }, {}) || {};
 
+  // Comments and reactions queued while offline for this product
+  const pendingMutations = mutations.filter(m => m.payload.productId === product._id);
+  const pendingComments = pendingMutations.filter(m => m.type === 'comment:add');
+  const hasPendingReaction = pendingMutations.some(m => m.type.startsWith('reaction:'));
+
+  const author = {
+    _id: user?.id,
+    username: user?.username,
+    avatar: user?.avatar,
+  };
+
   const handleReaction = async (emoji) => {
     try {
       if (userReaction) {
         // Remove existing reaction
-        await productsAPI.removeReaction(product._id);
-        socketService.emitReactionAdded({
+        await offlineQueue.mutate('reaction:remove', {
           wishlistId: product.wishlist,
           productId: product._id,
-          action: 'remove',
           userId: user.id
         });
       }
       
       if (!userReaction || userReaction.emoji !== emoji) {
         // Add new reaction
-        const response = await productsAPI.addReaction(product._id, { emoji });
-        socketService.emitReactionAdded({
+        await offlineQueue.mutate('reaction:add', {
           wishlistId: product.wishlist,
           productId: product._id,
-          reaction: response.data,
-          action: 'add'
+          emoji
         });
       }
       
@@ -73,12 +101,13 @@ const ProductCard = ({ product, onUpdate, onDelete, canEdit }) => {
     if (!newComment.trim()) return;
 
     setIsSubmittingComment(true);
+    stopTyping();
     try {
-      const response = await productsAPI.addComment(product._id, { text: newComment });
-      socketService.emitCommentAdded({
+      await offlineQueue.mutate('comment:add', {
         wishlistId: product.wishlist,
         productId: product._id,
-        comment: response.data
+        text: newComment,
+        user: author
       });
       setNewComment('');
     } catch (error) {
@@ -119,7 +148,9 @@ const ProductCard = ({ product, onUpdate, onDelete, canEdit }) => {
       initial={{ opacity: 0, y: 20 }}
       animate={{ opacity: 1, y: 0 }}
       exit={{ opacity: 0, y: -20 }}
-      className="bg-white rounded-xl shadow-sm border hover:shadow-lg transition-all duration-300 overflow-hidden group"
+      className={`bg-white rounded-xl shadow-sm border hover:shadow-lg transition-all duration-300 overflow-hidden group ${
+        isPending ? 'opacity-75 border-dashed border-blue-300' : ''
+      }`}
     >
       {/* Image */}
       {product.imageUrl && (
@@ -154,6 +185,12 @@ const ProductCard = ({ product, onUpdate, onDelete, canEdit }) => {
                   {product.priority}
                 </span>
               )}
+              {isPending && (
+                <span className="flex items-center space-x-1 px-2 py-1 rounded-full text-xs font-medium text-blue-600 bg-blue-50">
+                  <CloudArrowUpIcon className="w-3 h-3" />
+                  <span>Pending</span>
+                </span>
+              )}
             </div>
             
             {product.brand && (
@@ -166,7 +203,7 @@ const ProductCard = ({ product, onUpdate, onDelete, canEdit }) => {
           </div>
 
           {/* Menu */}
-          {canEdit && (
+          {canModify && !isPending && (
             <div className="relative">
               <button
                 onClick={() => setShowMenu(!showMenu)}
@@ -244,67 +281,82 @@ const ProductCard = ({ product, onUpdate, onDelete, canEdit }) => {
         )}
 
         {/* Reactions */}
-        <div className="flex items-center space-x-2 mb-3">
-          <div className="flex items-center space-x-1">
-            {Object.entries(reactionCounts).slice(0, 3).map(([emoji, count]) => (
-              <button
-                key={emoji}
-                onClick={() => handleReaction(emoji)}
-                className={`flex items-center space-x-1 px-2 py-1 rounded-full text-xs transition-colors ${
-                  userReaction?.emoji === emoji
-                    ? 'bg-blue-100 text-blue-600'
-                    : 'bg-gray-100 hover:bg-gray-200 text-gray-600'
-                }`}
-              >
-                <span className="emoji">{emoji}</span>
-                <span>{count}</span>
-              </button>
-            ))}
-          </div>
+        {!isPending && (!readOnly || product.reactions?.length > 0) && (
+          <div className="flex items-center space-x-2 mb-3">
+            <div className="flex items-center space-x-1">
+              {Object.entries(reactionCounts).slice(0, 3).map(([emoji, count]) => (
+                <button
+                  key={emoji}
+                  onClick={() => handleReaction(emoji)}
+                  disabled={readOnly}
+                  className={`flex items-center space-x-1 px-2 py-1 rounded-full text-xs transition-colors ${
+                    userReaction?.emoji === emoji
+                      ? 'bg-blue-100 text-blue-600'
+                      : 'bg-gray-100 hover:bg-gray-200 text-gray-600'
+                  } disabled:cursor-default`}
+                >
+                  <span className="emoji">{emoji}</span>
+                  <span>{count}</span>
+                </button>
+              ))}
+            </div>
           
-          <div className="relative">
-            <button
-              onClick={() => setShowReactions(!showReactions)}
-              className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
-            >
-              <FaceSmileIcon className="w-4 h-4" />
-            </button>
-            
-            <AnimatePresence>
-              {showReactions && (
-                <motion.div
-                  initial={{ opacity: 0, scale: 0.9, y: 10 }}
-                  animate={{ opacity: 1, scale: 1, y: 0 }}
-                  exit={{ opacity: 0, scale: 0.9, y: 10 }}
-                  className="absolute bottom-8 left-0 bg-white rounded-lg shadow-lg border p-2 z-10"
+            {!readOnly && (
+              <div className="relative">
+                <button
+                  onClick={() => setShowReactions(!showReactions)}
+                  className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
                 >
-                  <div className="grid grid-cols-4 gap-1">
-                    {reactions.map((emoji) => (
-                      <button
-                        key={emoji}
-                        onClick={() => handleReaction(emoji)}
-                        className="p-2 hover:bg-gray-100 rounded text-lg transition-colors"
-                      >
-                        <span className="emoji">{emoji}</span>
-                      </button>
-                    ))}
-                  </div>
-                </motion.div>
-              )}
-            </AnimatePresence>
+                  <FaceSmileIcon className="w-4 h-4" />
+                </button>
+            
+                <AnimatePresence>
+                  {showReactions && (
+                    <motion.div
+                      initial={{ opacity: 0, scale: 0.9, y: 10 }}
+                      animate={{ opacity: 1, scale: 1, y: 0 }}
+                      exit={{ opacity: 0, scale: 0.9, y: 10 }}
+                      className="absolute bottom-8 left-0 bg-white rounded-lg shadow-lg border p-2 z-10"
+                    >
+                      <div className="grid grid-cols-4 gap-1">
+                        {reactions.map((emoji) => (
+                          <button
+                            key={emoji}
+                            onClick={() => handleReaction(emoji)}
+                            className="p-2 hover:bg-gray-100 rounded text-lg transition-colors"
+                          >
+                            <span className="emoji">{emoji}</span>
+                          </button>
+                        ))}
+                      </div>
+                    </motion.div>
+                  )}
+                </AnimatePresence>
+              </div>
+            )}
+
+            {hasPendingReaction && (
+              <span className="flex items-center space-x-1 text-xs text-gray-400" title="Waiting to sync">
+                <CloudArrowUpIcon className="w-3 h-3" />
+                <span>Syncing</span>
+              </span>
+            )}
           </div>
-        </div>
+        )}
 
         {/* Actions */}
         <div className="flex items-center justify-between pt-3 border-t border-gray-100">
           <div className="flex items-center space-x-4">
-            <button
-              onClick={() => setShowComments(!showComments)}
-              className="flex items-center space-x-1 text-gray-500 hover:text-blue-600 transition-colors"
-            >
-              <ChatBubbleLeftIcon className="w-4 h-4" />
-              <span className="text-sm">{product.comments?.length || 0}</span>
-            </button>
+            {!readOnly && (
+              <button
+                onClick={() => setShowComments(!showComments)}
+                disabled={isPending}
+                className="flex items-center space-x-1 text-gray-500 hover:text-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <ChatBubbleLeftIcon className="w-4 h-4" />
+                <span className="text-sm">{(product.comments?.length || 0) + pendingComments.length}</span>
+              </button>
+            )}
 
             {product.productUrl && (
               <a
@@ -323,12 +375,14 @@ const ProductCard = ({ product, onUpdate, onDelete, canEdit }) => {
           </div>
           
           <div className="flex items-center space-x-2 text-xs text-gray-500">
-            <img
-              src={product.addedBy.avatar || generateAvatarUrl(product.addedBy.username)}
-              alt={product.addedBy.username}
-              className="w-5 h-5 rounded-full"
-            />
-            <span>by {product.addedBy.username}</span>
+            <UserLink user={product.addedBy} className="flex items-center space-x-2">
+              <img
+                src={product.addedBy.avatar || generateAvatarUrl(product.addedBy.username)}
+                alt={product.addedBy.username}
+                className="w-5 h-5 rounded-full"
+              />
+              <span>by {product.addedBy.username}</span>
+            </UserLink>
             <span>•</span>
             <span>{formatRelativeTime(product.createdAt)}</span>
           </div>
@@ -346,16 +400,22 @@ const ProductCard = ({ product, onUpdate, onDelete, canEdit }) => {
               {/* Comment Form */}
               <form onSubmit={handleComment} className="mb-3">
                 <div className="flex space-x-2">
-                  <img
-                    src={user?.avatar || generateAvatarUrl(user?.username || 'User')}
-                    alt={user?.username}
-                    className="w-6 h-6 rounded-full flex-shrink-0"
-                  />
+                  <UserLink user={user} className="flex-shrink-0">
+                    <img
+                      src={user?.avatar || generateAvatarUrl(user?.username || 'User')}
+                      alt={user?.username}
+                      className="w-6 h-6 rounded-full"
+                    />
+                  </UserLink>
                   <div className="flex-1">
                     <input
                       type="text"
                       value={newComment}
-                      onChange={(e) => setNewComment(e.target.value)}
+                      onChange={(e) => {
+                        setNewComment(e.target.value);
+                        notifyTyping();
+                      }}
+                      onBlur={stopTyping}
                       placeholder="Add a comment..."
                       className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
                       disabled={isSubmittingComment}
@@ -369,23 +429,30 @@ const ProductCard = ({ product, onUpdate, onDelete, canEdit }) => {
                     {isSubmittingComment ? '...' : 'Post'}
                   </button>
                 </div>
+                {!canBroadcast && (
+                  <p className="mt-1 ml-8 text-xs text-amber-700">
+                    Live updates are paused, others will see your comment once you reconnect.
+                  </p>
+                )}
               </form>
 
               {/* Comments List */}
               <div className="space-y-2 max-h-40 overflow-y-auto">
                 {product.comments?.map((comment) => (
                   <div key={comment._id} className="flex space-x-2">
-                    <img
-                      src={comment.user.avatar || generateAvatarUrl(comment.user.username)}
-                      alt={comment.user.username}
-                      className="w-5 h-5 rounded-full flex-shrink-0"
-                    />
+                    <UserLink user={comment.user} className="flex-shrink-0">
+                      <img
+                        src={comment.user.avatar || generateAvatarUrl(comment.user.username)}
+                        alt={comment.user.username}
+                        className="w-5 h-5 rounded-full"
+                      />
+                    </UserLink>
                     <div className="flex-1 min-w-0">
                       <div className="bg-gray-50 rounded-lg px-3 py-2">
                         <div className="flex items-center space-x-2 mb-1">
-                          <span className="text-sm font-medium text-gray-900">
+                          <UserLink user={comment.user} className="text-sm font-medium text-gray-900">
                             {comment.user.username}
-                          </span>
+                          </UserLink>
                           <span className="text-xs text-gray-500">
                             {formatRelativeTime(comment.createdAt)}
                           </span>
@@ -395,7 +462,38 @@ const ProductCard = ({ product, onUpdate, onDelete, canEdit }) => {
                     </div>
                   </div>
                 ))}
+
+                {/* Comments waiting to sync */}
+                {pendingComments.map((mutation) => (
+                  <div key={mutation.id} className="flex space-x-2 opacity-60">
+                    <UserLink user={mutation.payload.user} className="flex-shrink-0">
+                      <img
+                        src={mutation.payload.user?.avatar || generateAvatarUrl(mutation.payload.user?.username || 'User')}
+                        alt={mutation.payload.user?.username}
+                        className="w-5 h-5 rounded-full"
+                      />
+                    </UserLink>
+                    <div className="flex-1 min-w-0">
+                      <div className="bg-gray-50 rounded-lg px-3 py-2">
+                        <div className="flex items-center space-x-2 mb-1">
+                          <UserLink user={mutation.payload.user} className="text-sm font-medium text-gray-900">
+                            {mutation.payload.user?.username}
+                          </UserLink>
+                          <span className="text-xs text-blue-600">
+                            {mutation.status === 'conflict' ? 'Not sent' : 'Pending'}
+                          </span>
+                        </div>
+                        <p className="text-sm text-gray-700">{mutation.payload.text}</p>
+                      </div>
+                    </div>
+                  </div>
+                ))}
               </div>
+
+              {/* Who else is replying */}
+              {typingUsers.length > 0 && (
+                <p className="mt-2 text-xs text-gray-500 italic">{describeTyping(typingUsers)}</p>
+              )}
             </motion.div>
           )}
         </AnimatePresence>
@@ -404,4 +502,33 @@ const ProductCard = ({ product, onUpdate, onDelete, canEdit }) => {
   );
 };
 
+// Shown in place of a card that failed to render so the rest of the grid
+// keeps working
+const ProductCardFallback = ({ product, reset }) => (
+  <div className="bg-white rounded-xl shadow-sm border border-red-200 p-6 flex flex-col items-center justify-center text-center">
+    <ExclamationTriangleIcon className="w-8 h-8 text-red-500 mb-2" />
+    <p className="font-medium text-gray-900">
+      {product?.name ? `Couldn't show "${product.name}"` : "Couldn't show this product"}
+    </p>
+    <p className="text-sm text-gray-500 mb-4">Some of its details are missing or invalid.</p>
+    <button
+      onClick={reset}
+      className="inline-flex items-center space-x-1 px-3 py-1.5 text-sm text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50 transition-colors"
+    >
+      <ArrowPathIcon className="w-4 h-4" />
+      <span>Try again</span>
+    </button>
+  </div>
+);
+
+// Each card gets its own boundary; an updated product clears the error
+const ProductCard = (props) => (
+  <ErrorBoundary
+    resetKey={props.product}
+    fallback={({ reset }) => <ProductCardFallback product={props.product} reset={reset} />}
+  >
+    <ProductCardContent {...props} />
+  </ErrorBoundary>
+);
+
 export default ProductCard;
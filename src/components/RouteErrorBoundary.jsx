@@ -0,0 +1,66 @@
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { ExclamationTriangleIcon, ArrowPathIcon, HomeIcon } from '@heroicons/react/24/outline';
+import ErrorBoundary from './ErrorBoundary';
+
+// Messages browsers use when a lazily loaded page chunk can't be fetched,
+// usually after a deploy replaced it or the connection dropped
+const CHUNK_ERROR_PATTERN = /dynamically imported module|module script failed|loading chunk/i;
+
+const RouteErrorFallback = ({ error, reset }) => {
+  // A failed chunk stays failed for the lifetime of the page, so only a
+  // reload can fetch it again
+  const isChunkError = CHUNK_ERROR_PATTERN.test(error?.message || '');
+  const handleRetry = isChunkError ? () => window.location.reload() : reset;
+
+  return (
+    <div className="max-w-md mx-auto px-4 py-16 text-center">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="bg-white rounded-xl shadow-sm border p-8"
+      >
+        <div className="w-14 h-14 bg-red-100 rounded-full flex items-center justify-center mx-auto mb-4">
+          <ExclamationTriangleIcon className="w-7 h-7 text-red-600" />
+        </div>
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">Something went wrong</h2>
+        <p className="text-gray-600 mb-6">
+          {isChunkError
+            ? "This page couldn't be loaded. Check your connection and try again."
+            : 'This page ran into an unexpected problem. Trying again often helps.'}
+        </p>
+        <div className="flex flex-col sm:flex-row justify-center gap-3">
+          <button
+            onClick={handleRetry}
+            className="inline-flex items-center justify-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <ArrowPathIcon className="w-4 h-4" />
+            <span>Try again</span>
+          </button>
+          <Link
+            to="/dashboard"
+            onClick={reset}
+            className="inline-flex items-center justify-center space-x-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            <HomeIcon className="w-4 h-4" />
+            <span>Back to Dashboard</span>
+          </Link>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+// Keeps a crashing page from blanking the app; navigating elsewhere clears it
+const RouteErrorBoundary = ({ children }) => {
+  const { pathname } = useLocation();
+
+  return (
+    <ErrorBoundary resetKey={pathname} fallback={(props) => <RouteErrorFallback {...props} />}>
+      {children}
+    </ErrorBoundary>
+  );
+};
+
+export default RouteErrorBoundary;
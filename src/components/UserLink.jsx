@@ -0,0 +1,22 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { getProfilePath } from '../utils/helpers';
+
+// Wraps a username or avatar so it opens that user's public profile. Falls
+// back to a plain span when there's no username to link to.
+const UserLink = ({ user, className = '', children }) => {
+  if (!user?.username) {
+    return <span className={className}>{children}</span>;
+  }
+
+  return (
+    <Link
+      to={getProfilePath(user.username)}
+      className={`hover:underline ${className}`}
+    >
+      {children}
+    </Link>
+  );
+};
+
+export default UserLink;
@@ -1,6 +1,8 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import { authAPI } from '../services/api';
+import { authAPI, onTokenRefreshed } from '../services/api';
 import socketService from '../services/socket';
+import queryCache from '../services/queryCache';
+import offlineQueue from '../services/offlineQueue';
 
 const AuthContext = createContext();
 
@@ -31,6 +33,11 @@ const authReducer = (state, action) => {
         isAuthenticated: false,
         isLoading: false,
       };
+    case 'TOKEN_REFRESHED':
+      return {
+        ...state,
+        token: action.payload,
+      };
     case 'UPDATE_USER':
       return {
         ...state,
@@ -56,7 +63,6 @@ export const AuthProvider = ({ children }) => {
           type: 'LOGIN_SUCCESS',
           payload: { token, user: parsedUser },
         });
-        socketService.connect();
       } catch (error) {
         console.error('Error parsing stored user:', error);
         localStorage.removeItem('token');
@@ -67,13 +73,30 @@ export const AuthProvider = ({ children }) => {
     dispatch({ type: 'SET_LOADING', payload: false });
   }, []);
 
+  useEffect(() => {
+    // Keep state in sync with tokens refreshed by the API layer
+    return onTokenRefreshed((token) => {
+      dispatch({ type: 'TOKEN_REFRESHED', payload: token });
+    });
+  }, []);
+
+  useEffect(() => {
+    // The socket handshake carries the current token, so (re)connect
+    // whenever it changes. Logging out tears the socket down.
+    if (state.token) {
+      socketService.authenticate(state.token);
+    }
+  }, [state.token]);
+
   const login = async (credentials) => {
     try {
-      dispatch({ type: 'SET_LOADING', payload: true });
       const response = await authAPI.login(credentials);
-      const { token, user } = response.data;
+      const { token, refreshToken, user } = response.data;
 
       localStorage.setItem('token', token);
+      if (refreshToken) {
+        localStorage.setItem('refreshToken', refreshToken);
+      }
       localStorage.setItem('user', JSON.stringify(user));
 
       dispatch({
@@ -81,24 +104,25 @@ export const AuthProvider = ({ children }) => {
         payload: { token, user },
       });
 
-      socketService.connect();
       return { success: true };
     } catch (error) {
-      dispatch({ type: 'SET_LOADING', payload: false });
       return {
         success: false,
-        error: error.response?.data?.message || 'Login failed',
+        error: error.message,
+        fieldErrors: error.fieldErrors || {},
       };
     }
   };
 
   const register = async (userData) => {
     try {
-      dispatch({ type: 'SET_LOADING', payload: true });
       const response = await authAPI.register(userData);
-      const { token, user } = response.data;
+      const { token, refreshToken, user } = response.data;
 
       localStorage.setItem('token', token);
+      if (refreshToken) {
+        localStorage.setItem('refreshToken', refreshToken);
+      }
       localStorage.setItem('user', JSON.stringify(user));
 
       dispatch({
@@ -106,21 +130,23 @@ export const AuthProvider = ({ children }) => {
         payload: { token, user },
       });
 
-      socketService.connect();
       return { success: true };
     } catch (error) {
-      dispatch({ type: 'SET_LOADING', payload: false });
       return {
         success: false,
-        error: error.response?.data?.message || 'Registration failed',
+        error: error.message,
+        fieldErrors: error.fieldErrors || {},
       };
     }
   };
 
   const logout = () => {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
     socketService.disconnect();
+    queryCache.clear();
+    offlineQueue.clear();
     dispatch({ type: 'LOGOUT' });
   };
 
@@ -136,7 +162,8 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       return {
         success: false,
-        error: error.response?.data?.message || 'Profile update failed',
+        error: error.message,
+        fieldErrors: error.fieldErrors || {},
       };
     }
   };
@@ -0,0 +1,10 @@
+import { useSyncExternalStore } from 'react';
+import connectionStatus from '../services/connectionStatus';
+
+const subscribe = (listener) => connectionStatus.subscribe(listener);
+const getSnapshot = () => connectionStatus.getStatus();
+
+// Current real-time connection status (see services/connectionStatus.js)
+const useConnectionStatus = () => useSyncExternalStore(subscribe, getSnapshot);
+
+export default useConnectionStatus;
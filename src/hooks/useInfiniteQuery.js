@@ -0,0 +1,39 @@
+import { useCallback, useEffect, useRef } from 'react';
+import queryCache, { PAGE_SIZE } from '../services/queryCache';
+import useQuery from './useQuery';
+
+// Read a paginated list from the cache. `fetchPage({ cursor, limit })`
+// resolves with a page (see `toPage`). Revalidating reloads as many items as
+// are already on screen so the list doesn't shrink under the user.
+const useInfiniteQuery = (key, fetchPage, { enabled = true, pageSize = PAGE_SIZE } = {}) => {
+  const fetchPageRef = useRef(fetchPage);
+
+  useEffect(() => {
+    fetchPageRef.current = fetchPage;
+  });
+
+  const query = useQuery(
+    key,
+    () => {
+      const loaded = queryCache.getData(key)?.items.length || 0;
+      return fetchPageRef.current({ limit: Math.max(pageSize, loaded) });
+    },
+    { enabled }
+  );
+
+  const fetchNextPage = useCallback(
+    () => queryCache.fetchNextPage(key, (cursor) => fetchPageRef.current({ cursor, limit: pageSize })),
+    [key, pageSize]
+  );
+
+  return {
+    ...query,
+    items: query.data?.items || [],
+    total: query.data?.total ?? null,
+    hasNextPage: Boolean(query.data?.nextCursor),
+    isFetchingNextPage: Boolean(queryCache.getEntry(key)?.isFetchingNextPage),
+    fetchNextPage,
+  };
+};
+
+export default useInfiniteQuery;
@@ -0,0 +1,32 @@
+import { useEffect, useRef } from 'react';
+
+// Call `onLoadMore` when the returned sentinel ref scrolls into view
+const useInfiniteScroll = (onLoadMore, { enabled = true, rootMargin = '300px' } = {}) => {
+  const sentinelRef = useRef(null);
+  const onLoadMoreRef = useRef(onLoadMore);
+
+  useEffect(() => {
+    onLoadMoreRef.current = onLoadMore;
+  });
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!enabled || !sentinel) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) {
+          onLoadMoreRef.current();
+        }
+      },
+      { rootMargin }
+    );
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [enabled, rootMargin]);
+
+  return sentinelRef;
+};
+
+export default useInfiniteScroll;
@@ -0,0 +1,10 @@
+import { useSyncExternalStore } from 'react';
+import offlineQueue from '../services/offlineQueue';
+
+const subscribe = (listener) => offlineQueue.subscribe(listener);
+const getSnapshot = () => offlineQueue.getMutations();
+
+// All queued mutations (pending and conflicted), oldest first
+const useOfflineQueue = () => useSyncExternalStore(subscribe, getSnapshot);
+
+export default useOfflineQueue;
@@ -0,0 +1,150 @@
+import { useEffect, useState } from 'react';
+import socketService from '../services/socket';
+import { SOCKET_EVENTS } from '../services/socketEvents';
+
+const HEARTBEAT_INTERVAL = 15 * 1000;
+// Viewers that miss a couple of heartbeats (closed tab, dropped socket) are
+// removed even if they never said goodbye
+const PRESENCE_TTL = 40 * 1000;
+const IDLE_TIMEOUT = 60 * 1000;
+const ACTIVITY_EVENTS = ['mousemove', 'keydown', 'scroll', 'touchstart'];
+const STATUS_ORDER = { active: 0, idle: 1, away: 2 };
+
+// Track who else has a wishlist open. Each open tab is a session sending
+// heartbeats to the wishlist room; returns one `{ user, status }` entry per
+// other user, where status is 'active', 'idle' (no input for a while) or
+// 'away' (tab in the background).
+const usePresence = (wishlistId, user) => {
+  const [sessions, setSessions] = useState({});
+  const userId = user?.id;
+  const username = user?.username;
+  const avatar = user?.avatar;
+
+  useEffect(() => {
+    if (!wishlistId || !userId) return;
+
+    const sessionId = crypto.randomUUID();
+    const self = { _id: userId, username, avatar };
+    const knownSessions = new Set();
+    let lastActivity = Date.now();
+    let status = document.hidden ? 'away' : 'active';
+
+    const announce = (reply = false) => {
+      socketService.emitPresenceHeartbeat({ wishlistId, sessionId, user: self, status, reply });
+    };
+
+    const leave = () => {
+      socketService.emitPresenceLeave({ wishlistId, sessionId });
+    };
+
+    const removeSession = (id) => {
+      knownSessions.delete(id);
+      setSessions((current) => {
+        if (!current[id]) return current;
+        const { [id]: _removed, ...rest } = current;
+        return rest;
+      });
+    };
+
+    const handleHeartbeat = (data) => {
+      if (data.wishlistId !== wishlistId || data.sessionId === sessionId) return;
+
+      // Answer newcomers right away so they don't wait for our next heartbeat
+      if (!knownSessions.has(data.sessionId) && !data.reply) {
+        announce(true);
+      }
+      knownSessions.add(data.sessionId);
+
+      setSessions((current) => ({
+        ...current,
+        [data.sessionId]: { user: data.user, status: data.status, lastSeen: Date.now() },
+      }));
+    };
+
+    const handleLeave = (data) => {
+      if (data.wishlistId === wishlistId) {
+        removeSession(data.sessionId);
+      }
+    };
+
+    const updateStatus = () => {
+      let next = 'active';
+      if (document.hidden) {
+        next = 'away';
+      } else if (Date.now() - lastActivity > IDLE_TIMEOUT) {
+        next = 'idle';
+      }
+
+      if (next !== status) {
+        status = next;
+        announce();
+      }
+    };
+
+    const handleActivity = () => {
+      lastActivity = Date.now();
+      if (status === 'idle') {
+        updateStatus();
+      }
+    };
+
+    const tick = () => {
+      updateStatus();
+      announce();
+
+      const cutoff = Date.now() - PRESENCE_TTL;
+      setSessions((current) => {
+        const expired = Object.keys(current).filter((id) => current[id].lastSeen < cutoff);
+        if (expired.length === 0) return current;
+        expired.forEach((id) => knownSessions.delete(id));
+        return Object.fromEntries(
+          Object.entries(current).filter(([id]) => !expired.includes(id))
+        );
+      });
+    };
+
+    socketService.onPresenceHeartbeat(handleHeartbeat);
+    socketService.onPresenceLeave(handleLeave);
+    // Rooms are rejoined before this runs, so the heartbeat reaches the room
+    socketService.on('connect', announce);
+    if (socketService.isConnected) {
+      announce();
+    }
+
+    const interval = setInterval(tick, HEARTBEAT_INTERVAL);
+    document.addEventListener('visibilitychange', updateStatus);
+    ACTIVITY_EVENTS.forEach((event) =>
+      window.addEventListener(event, handleActivity, { passive: true })
+    );
+    window.addEventListener('pagehide', leave);
+
+    return () => {
+      leave();
+      clearInterval(interval);
+      socketService.off(SOCKET_EVENTS.PRESENCE_HEARTBEAT, handleHeartbeat);
+      socketService.off(SOCKET_EVENTS.PRESENCE_LEAVE, handleLeave);
+      socketService.off('connect', announce);
+      document.removeEventListener('visibilitychange', updateStatus);
+      ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, handleActivity));
+      window.removeEventListener('pagehide', leave);
+      setSessions({});
+    };
+  }, [wishlistId, userId, username, avatar]);
+
+  // Collapse sessions into one entry per user, keeping their most present
+  // status; our own other tabs are left out
+  const viewers = {};
+  Object.values(sessions).forEach(({ user: viewer, status }) => {
+    if (viewer._id === userId) return;
+    const existing = viewers[viewer._id];
+    if (!existing || STATUS_ORDER[status] < STATUS_ORDER[existing.status]) {
+      viewers[viewer._id] = { user: viewer, status };
+    }
+  });
+
+  return Object.values(viewers).sort(
+    (a, b) => STATUS_ORDER[a.status] - STATUS_ORDER[b.status]
+  );
+};
+
+export default usePresence;
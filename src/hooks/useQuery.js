@@ -0,0 +1,40 @@
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react';
+import queryCache from '../services/queryCache';
+
+// Read a cached resource, fetching it on mount and revalidating in the
+// background when the cached copy is stale
+const useQuery = (key, fetcher, { enabled = true } = {}) => {
+  const fetcherRef = useRef(fetcher);
+
+  useEffect(() => {
+    fetcherRef.current = fetcher;
+  });
+
+  const entry = useSyncExternalStore(
+    useCallback((listener) => queryCache.subscribe(key, listener), [key]),
+    () => queryCache.getEntry(key)
+  );
+
+  const runFetch = useCallback(
+    (options) => queryCache.fetch(key, () => fetcherRef.current(), options),
+    [key]
+  );
+
+  useEffect(() => {
+    if (enabled) {
+      runFetch().catch(() => {});
+    }
+  }, [runFetch, enabled]);
+
+  const refetch = useCallback(() => runFetch({ force: true }), [runFetch]);
+
+  return {
+    data: entry?.data,
+    error: entry?.error || null,
+    isLoading: entry?.data === undefined && !entry?.error,
+    isFetching: Boolean(entry?.isFetching),
+    refetch,
+  };
+};
+
+export default useQuery;
@@ -0,0 +1,113 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import socketService from '../services/socket';
+import { SOCKET_EVENTS } from '../services/socketEvents';
+
+// Send at most one "typing" event per interval while the user keeps typing
+const TYPING_THROTTLE = 2000;
+// Stop announcing once the user pauses for this long
+const TYPING_IDLE = 3000;
+// Drop remote typists we haven't heard from, e.g. if their "stopped" event
+// was lost. Longer than the throttle so steady typing doesn't flicker.
+const TYPING_TTL = 5000;
+
+// "X is typing…" for one product's comment thread. Returns the users
+// currently typing (excluding us) plus callbacks for our own comment input.
+const useTypingIndicator = (wishlistId, productId, user) => {
+  const [typingUsers, setTypingUsers] = useState([]);
+  const expiryTimers = useRef(new Map());
+  const lastSentAt = useRef(0);
+  const idleTimer = useRef(null);
+  const isTyping = useRef(false);
+
+  const userId = user?.id;
+  const username = user?.username;
+
+  useEffect(() => {
+    if (!wishlistId || !productId) return;
+    const timers = expiryTimers.current;
+
+    const removeTypist = (typistId) => {
+      clearTimeout(timers.get(typistId));
+      timers.delete(typistId);
+      setTypingUsers((current) => current.filter((u) => u._id !== typistId));
+    };
+
+    const handleTyping = (data) => {
+      if (
+        data.wishlistId !== wishlistId ||
+        data.productId !== productId ||
+        data.user?._id === userId
+      ) {
+        return;
+      }
+
+      if (!data.isTyping) {
+        removeTypist(data.user._id);
+        return;
+      }
+
+      clearTimeout(timers.get(data.user._id));
+      timers.set(data.user._id, setTimeout(() => removeTypist(data.user._id), TYPING_TTL));
+      setTypingUsers((current) =>
+        current.some((u) => u._id === data.user._id) ? current : [...current, data.user]
+      );
+    };
+
+    socketService.onCommentTyping(handleTyping);
+
+    return () => {
+      socketService.off(SOCKET_EVENTS.COMMENT_TYPING, handleTyping);
+      timers.forEach((timer) => clearTimeout(timer));
+      timers.clear();
+      setTypingUsers([]);
+    };
+  }, [wishlistId, productId, userId]);
+
+  const emitTyping = useCallback(
+    (typing) => {
+      isTyping.current = typing;
+      socketService.emitCommentTyping({
+        wishlistId,
+        productId,
+        user: { _id: userId, username },
+        isTyping: typing,
+      });
+    },
+    [wishlistId, productId, userId, username]
+  );
+
+  const stopTyping = useCallback(() => {
+    clearTimeout(idleTimer.current);
+    if (isTyping.current) {
+      lastSentAt.current = 0;
+      emitTyping(false);
+    }
+  }, [emitTyping]);
+
+  // Call on every keystroke in the comment input
+  const notifyTyping = useCallback(() => {
+    const now = Date.now();
+    if (now - lastSentAt.current >= TYPING_THROTTLE) {
+      lastSentAt.current = now;
+      emitTyping(true);
+    }
+
+    clearTimeout(idleTimer.current);
+    idleTimer.current = setTimeout(stopTyping, TYPING_IDLE);
+  }, [emitTyping, stopTyping]);
+
+  // Let the others know if we leave mid-sentence
+  useEffect(() => stopTyping, [stopTyping]);
+
+  return { typingUsers, notifyTyping, stopTyping };
+};
+
+// "alex is typing…", "alex and sam are typing…", "3 people are typing…"
+export const describeTyping = (users) => {
+  if (users.length === 0) return '';
+  if (users.length === 1) return `${users[0].username} is typing…`;
+  if (users.length === 2) return `${users[0].username} and ${users[1].username} are typing…`;
+  return `${users.length} people are typing…`;
+};
+
+export default useTypingIndicator;
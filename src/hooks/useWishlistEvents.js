@@ -0,0 +1,76 @@
+import { useEffect, useRef } from 'react';
+import socketService from '../services/socket';
+import { SOCKET_EVENTS } from '../services/socketEvents';
+import {
+  updateWishlistInCache,
+  removeWishlistFromCache,
+  addMemberToCache,
+  removeMemberFromCache,
+  setMembersInCache
+} from '../services/queryCache';
+
+// Keep cached wishlists in sync with metadata and membership changes made
+// by others. Joins the rooms of `wishlistIds` while mounted.
+// `onDeleted` / `onRemoved` are called when a wishlist is deleted or the
+// current user is no longer a member of it.
+const useWishlistEvents = (wishlistIds, userId, { onDeleted, onRemoved } = {}) => {
+  const callbacksRef = useRef({ onDeleted, onRemoved });
+  const roomsKey = wishlistIds.join(',');
+
+  useEffect(() => {
+    callbacksRef.current = { onDeleted, onRemoved };
+  });
+
+  useEffect(() => {
+    const ids = roomsKey ? roomsKey.split(',') : [];
+    socketService.connect();
+    ids.forEach((id) => socketService.joinWishlist(id));
+
+    return () => {
+      ids.forEach((id) => socketService.leaveWishlist(id));
+    };
+  }, [roomsKey]);
+
+  useEffect(() => {
+    const handleUpdated = (data) => {
+      const { owner, collaborators, ...changes } = data.wishlist;
+      updateWishlistInCache({ ...changes, _id: data.wishlistId });
+      if (owner && collaborators) {
+        setMembersInCache(data.wishlistId, { owner, collaborators });
+      }
+    };
+
+    const handleDeleted = (data) => {
+      removeWishlistFromCache(data.wishlistId);
+      callbacksRef.current.onDeleted?.(data.wishlistId);
+    };
+
+    const handleMemberJoined = (data) => {
+      addMemberToCache(data.wishlistId, data.member);
+    };
+
+    const handleMemberLeft = (data) => {
+      if (data.userId === userId) {
+        // We left (or were removed) from another tab
+        removeWishlistFromCache(data.wishlistId);
+        callbacksRef.current.onRemoved?.(data.wishlistId);
+      } else {
+        removeMemberFromCache(data.wishlistId, data.userId);
+      }
+    };
+
+    socketService.onWishlistUpdated(handleUpdated);
+    socketService.onWishlistDeleted(handleDeleted);
+    socketService.onMemberJoined(handleMemberJoined);
+    socketService.onMemberLeft(handleMemberLeft);
+
+    return () => {
+      socketService.off(SOCKET_EVENTS.WISHLIST_UPDATED, handleUpdated);
+      socketService.off(SOCKET_EVENTS.WISHLIST_DELETED, handleDeleted);
+      socketService.off(SOCKET_EVENTS.MEMBER_JOINED, handleMemberJoined);
+      socketService.off(SOCKET_EVENTS.MEMBER_LEFT, handleMemberLeft);
+    };
+  }, [userId]);
+};
+
+export default useWishlistEvents;
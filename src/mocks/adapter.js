@@ -0,0 +1,131 @@
+import { AxiosError } from 'axios';
+import { loadDb, saveDb } from './db';
+import { routes, getUserIdFromToken } from './handlers';
+import { MockError } from './errors';
+
+const MIN_LATENCY = 150;
+const MAX_LATENCY = 400;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Compile `/wishlists/:id` style paths into regexes once
+const compiledRoutes = routes.map((route) => {
+  const keys = [];
+  const pattern = route.path.replace(/:(\w+)/g, (_match, key) => {
+    keys.push(key);
+    return '([^/]+)';
+  });
+  return { ...route, keys, regex: new RegExp(`^${pattern}$`) };
+});
+
+const matchRoute = (method, pathname) => {
+  for (const route of compiledRoutes) {
+    if (route.method !== method) continue;
+    const match = pathname.match(route.regex);
+    if (match) {
+      const params = Object.fromEntries(
+        route.keys.map((key, index) => [key, decodeURIComponent(match[index + 1])])
+      );
+      return { route, params };
+    }
+  }
+  return null;
+};
+
+const parseBody = (data) => {
+  if (typeof data === 'string') {
+    try {
+      return JSON.parse(data);
+    } catch {
+      return {};
+    }
+  }
+  return data || {};
+};
+
+// Simulate upload progress for FormData bodies
+const reportUploadProgress = async (config) => {
+  if (!(config.data instanceof FormData) || !config.onUploadProgress) return;
+
+  const file = [...config.data.values()].find((value) => value instanceof Blob);
+  const total = file?.size || 1;
+  for (const fraction of [0.25, 0.5, 0.75, 1]) {
+    await delay(100);
+    if (config.signal?.aborted) return;
+    config.onUploadProgress({ loaded: total * fraction, total, progress: fraction });
+  }
+};
+
+// Axios adapter that answers requests from the in-browser mock database
+const mockAdapter = async (config) => {
+  const url = new URL(config.url, 'http://mock.local');
+  const method = (config.method || 'get').toLowerCase();
+
+  if (!navigator.onLine) {
+    throw new AxiosError('Network Error', AxiosError.ERR_NETWORK, config, {});
+  }
+
+  await reportUploadProgress(config);
+  await delay(MIN_LATENCY + Math.random() * (MAX_LATENCY - MIN_LATENCY));
+
+  if (config.signal?.aborted) {
+    throw new AxiosError('canceled', AxiosError.ERR_CANCELED, config, {});
+  }
+
+  const token = config.headers?.Authorization?.replace(/^Bearer /, '');
+  const matched = matchRoute(method, url.pathname);
+  let status = 200;
+  let data;
+
+  if (!matched) {
+    status = 404;
+    data = { message: `Mock route not found: ${method.toUpperCase()} ${url.pathname}` };
+  } else {
+    try {
+      const db = loadDb();
+      const result = await matched.route.handler({
+        db,
+        params: matched.params,
+        query: { ...Object.fromEntries(url.searchParams), ...config.params },
+        body: parseBody(config.data),
+        userId: getUserIdFromToken(token),
+      });
+
+      if (result && typeof result.status === 'number' && 'data' in result) {
+        ({ status, data } = result);
+      } else {
+        data = result;
+      }
+      saveDb(db);
+    } catch (error) {
+      if (!(error instanceof MockError)) {
+        console.error('Mock handler failed:', error);
+      }
+      status = error.status || 500;
+      data = error.data || { message: 'Internal server error' };
+    }
+  }
+
+  const response = {
+    data,
+    status,
+    statusText: String(status),
+    headers: {},
+    config,
+    request: {},
+  };
+
+  if (!config.validateStatus || config.validateStatus(status)) {
+    return response;
+  }
+
+  throw new AxiosError(
+    `Request failed with status code ${status}`,
+    status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config,
+    {},
+    response
+  );
+};
+
+export default mockAdapter;
@@ -0,0 +1,53 @@
+import * as fixtures from './fixtures';
+import { MockError } from './errors';
+
+const STORAGE_KEY = 'wishlist-mock-db';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const seed = () => ({
+  users: fixtures.users.map((user) => ({ ...clone(user), password: fixtures.MOCK_PASSWORD })),
+  wishlists: clone(fixtures.wishlists),
+  products: clone(fixtures.products),
+  activity: clone(fixtures.activity),
+});
+
+// The mock database lives in localStorage so data survives reloads and is
+// shared between tabs
+export const loadDb = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored) {
+      return JSON.parse(stored);
+    }
+  } catch (error) {
+    console.warn('Mock database is corrupt, reseeding:', error);
+  }
+
+  const db = seed();
+  saveDb(db);
+  return db;
+};
+
+// Throws a MockError when the data can't be stored, so the request that
+// made the change fails instead of reporting success and losing it
+export const saveDb = (db) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(db));
+  } catch (error) {
+    console.error('Failed to save mock database:', error);
+    if (error?.name === 'QuotaExceededError') {
+      throw new MockError(413, 'The mock database is full. Reset it to free up space.');
+    }
+    throw new MockError(500, 'Failed to save mock database');
+  }
+};
+
+// Restore the seeded fixtures
+export const resetDb = () => {
+  localStorage.removeItem(STORAGE_KEY);
+  return loadDb();
+};
+
+export const generateId = (prefix = '') =>
+  `${prefix}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
@@ -0,0 +1,9 @@
+// Thrown by handlers (and the database when it can't save) to produce an
+// error response
+export class MockError extends Error {
+  constructor(status, message, data = {}) {
+    super(message);
+    this.status = status;
+    this.data = { message, ...data };
+  }
+}
@@ -0,0 +1,327 @@
+// Seed data for mock mode. Every account uses the password "password".
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+export const MOCK_PASSWORD = 'password';
+
+export const users = [
+  {
+    _id: 'u1',
+    username: 'alex',
+    email: 'alex@example.com',
+    avatar: '',
+    bio: 'Planning gifts for the whole family.',
+    createdAt: daysAgo(60),
+  },
+  {
+    _id: 'u2',
+    username: 'sam',
+    email: 'sam@example.com',
+    avatar: '',
+    bio: 'Gadget enthusiast.',
+    createdAt: daysAgo(45),
+  },
+  {
+    _id: 'u3',
+    username: 'jordan',
+    email: 'jordan@example.com',
+    avatar: '',
+    bio: '',
+    createdAt: daysAgo(30),
+  },
+];
+
+export const wishlists = [
+  {
+    _id: 'w1',
+    title: 'Birthday Wishlist',
+    description: 'Ideas for my birthday in June',
+    isPublic: false,
+    tags: ['birthday'],
+    owner: 'u1',
+    collaborators: [
+      { user: 'u2', role: 'editor', joinedAt: daysAgo(20) },
+    ],
+    inviteCode: 'BDAY2024',
+    createdAt: daysAgo(25),
+    updatedAt: daysAgo(2),
+  },
+  {
+    _id: 'w2',
+    title: 'Home Office Setup',
+    description: 'Upgrades for working from home',
+    isPublic: true,
+    tags: ['electronics', 'office'],
+    owner: 'u2',
+    collaborators: [
+      { user: 'u1', role: 'editor', joinedAt: daysAgo(10) },
+      { user: 'u3', role: 'viewer', joinedAt: daysAgo(5) },
+    ],
+    inviteCode: 'OFFICE01',
+    createdAt: daysAgo(15),
+    updatedAt: daysAgo(1),
+  },
+  {
+    _id: 'w3',
+    title: 'Reading List',
+    description: 'Books to pick up this year',
+    isPublic: true,
+    tags: ['books'],
+    owner: 'u3',
+    collaborators: [],
+    inviteCode: null,
+    createdAt: daysAgo(8),
+    updatedAt: daysAgo(8),
+  },
+  {
+    _id: 'w4',
+    title: 'Camping Trip',
+    description: 'Gear for the lake weekend in August',
+    isPublic: true,
+    tags: ['outdoors', 'travel'],
+    owner: 'u1',
+    collaborators: [
+      { user: 'u3', role: 'editor', joinedAt: daysAgo(3) },
+    ],
+    inviteCode: 'CAMP2024',
+    createdAt: daysAgo(4),
+    updatedAt: daysAgo(2),
+  },
+  {
+    _id: 'w5',
+    title: 'Kitchen Upgrades',
+    description: 'Tools worth replacing',
+    isPublic: true,
+    tags: ['home', 'kitchen'],
+    owner: 'u2',
+    collaborators: [],
+    inviteCode: null,
+    createdAt: daysAgo(20),
+    updatedAt: daysAgo(6),
+  },
+];
+
+// Filler for the shared office registry so pagination has something to page
+// through in mock mode
+const SUPPLIES = ['Notebook', 'Gel Pens', 'Desk Lamp', 'Monitor Arm', 'Whiteboard', 'Plant', 'Mug'];
+
+const officeSupplies = Array.from({ length: 45 }, (_, index) => ({
+  _id: `p-bulk-${index + 1}`,
+  wishlist: 'w2',
+  name: `${SUPPLIES[index % SUPPLIES.length]} #${index + 1}`,
+  description: '',
+  price: 5 + ((index * 7) % 60),
+  currency: 'USD',
+  imageUrl: '',
+  productUrl: '',
+  category: 'Office',
+  brand: '',
+  priority: 'low',
+  status: 'wanted',
+  tags: ['office'],
+  addedBy: index % 2 ? 'u2' : 'u3',
+  comments: [],
+  reactions: [],
+  createdAt: daysAgo(13 + index),
+  updatedAt: daysAgo(13 + index),
+}));
+
+export const products = [
+  {
+    _id: 'p1',
+    wishlist: 'w1',
+    name: 'Noise-Cancelling Headphones',
+    description: 'Over-ear, wireless, long battery life',
+    price: 299.99,
+    currency: 'USD',
+    imageUrl: '',
+    productUrl: 'https://example.com/headphones',
+    category: 'Electronics',
+    brand: 'SoundCo',
+    priority: 'high',
+    status: 'wanted',
+    tags: ['audio', 'travel'],
+    addedBy: 'u1',
+    comments: [
+      { _id: 'c1', user: 'u2', text: 'I can chip in for these!', createdAt: daysAgo(3) },
+    ],
+    reactions: [
+      { _id: 'r1', user: 'u2', emoji: '🔥' },
+    ],
+    createdAt: daysAgo(5),
+    updatedAt: daysAgo(3),
+  },
+  {
+    _id: 'p2',
+    wishlist: 'w1',
+    name: 'Pour-Over Coffee Set',
+    description: 'Kettle, dripper and filters',
+    price: 79,
+    currency: 'USD',
+    imageUrl: '',
+    productUrl: '',
+    category: 'Kitchen',
+    brand: '',
+    priority: 'medium',
+    status: 'wanted',
+    tags: ['coffee'],
+    addedBy: 'u2',
+    comments: [],
+    reactions: [],
+    createdAt: daysAgo(2),
+    updatedAt: daysAgo(2),
+  },
+  {
+    _id: 'p3',
+    wishlist: 'w2',
+    name: 'Standing Desk',
+    description: 'Electric, memory presets',
+    price: 549,
+    currency: 'USD',
+    imageUrl: '',
+    productUrl: 'https://example.com/desk',
+    category: 'Furniture',
+    brand: 'Deskly',
+    priority: 'high',
+    status: 'purchased',
+    tags: ['office'],
+    addedBy: 'u2',
+    comments: [],
+    reactions: [
+      { _id: 'r2', user: 'u1', emoji: '👍' },
+    ],
+    createdAt: daysAgo(12),
+    updatedAt: daysAgo(1),
+  },
+  {
+    _id: 'p4',
+    wishlist: 'w3',
+    name: 'The Pragmatic Programmer',
+    description: '20th anniversary edition',
+    price: 42.5,
+    currency: 'USD',
+    imageUrl: '',
+    productUrl: '',
+    category: 'Books',
+    brand: '',
+    priority: 'low',
+    status: 'wanted',
+    tags: ['programming'],
+    addedBy: 'u3',
+    comments: [],
+    reactions: [],
+    createdAt: daysAgo(8),
+    updatedAt: daysAgo(8),
+  },
+  {
+    _id: 'p5',
+    wishlist: 'w4',
+    name: 'Two-Person Tent',
+    description: 'Lightweight, packs small',
+    price: 189,
+    currency: 'USD',
+    imageUrl: '',
+    productUrl: '',
+    category: 'Outdoors',
+    brand: 'TrailCo',
+    priority: 'high',
+    status: 'wanted',
+    tags: ['camping'],
+    addedBy: 'u1',
+    comments: [],
+    reactions: [
+      { _id: 'r3', user: 'u3', emoji: '👍' },
+    ],
+    createdAt: daysAgo(4),
+    updatedAt: daysAgo(4),
+  },
+  {
+    _id: 'p6',
+    wishlist: 'w4',
+    name: 'Camp Stove',
+    description: '',
+    price: 64.95,
+    currency: 'USD',
+    imageUrl: '',
+    productUrl: '',
+    category: 'Outdoors',
+    brand: '',
+    priority: 'medium',
+    status: 'wanted',
+    tags: ['camping', 'cooking'],
+    addedBy: 'u3',
+    comments: [],
+    reactions: [],
+    createdAt: daysAgo(2),
+    updatedAt: daysAgo(2),
+  },
+  {
+    _id: 'p7',
+    wishlist: 'w5',
+    name: "Chef's Knife",
+    description: '8 inch, stainless',
+    price: 120,
+    currency: 'USD',
+    imageUrl: '',
+    productUrl: '',
+    category: 'Kitchen',
+    brand: '',
+    priority: 'medium',
+    status: 'wanted',
+    tags: ['cooking'],
+    addedBy: 'u2',
+    comments: [],
+    reactions: [],
+    createdAt: daysAgo(6),
+    updatedAt: daysAgo(6),
+  },
+  ...officeSupplies,
+];
+
+// History implied by the data above, so the activity feed isn't empty
+const productRef = (product) => ({ _id: product._id, name: product.name });
+
+export const activity = [
+  ...wishlists.flatMap((wishlist) =>
+    wishlist.collaborators.map((collab) => ({
+      _id: `a-join-${wishlist._id}-${collab.user}`,
+      wishlist: wishlist._id,
+      type: 'member-joined',
+      actor: collab.user,
+      product: null,
+      data: { role: collab.role },
+      createdAt: collab.joinedAt,
+    }))
+  ),
+  ...products.flatMap((product) => [
+    {
+      _id: `a-add-${product._id}`,
+      wishlist: product.wishlist,
+      type: 'product-added',
+      actor: product.addedBy,
+      product: productRef(product),
+      data: {},
+      createdAt: product.createdAt,
+    },
+    ...(product.status === 'purchased'
+      ? [{
+          _id: `a-status-${product._id}`,
+          wishlist: product.wishlist,
+          type: 'product-updated',
+          actor: product.addedBy,
+          product: productRef(product),
+          data: { changes: { status: 'purchased' } },
+          createdAt: product.updatedAt,
+        }]
+      : []),
+    ...product.comments.map((comment) => ({
+      _id: `a-${comment._id}`,
+      wishlist: product.wishlist,
+      type: 'comment-added',
+      actor: comment.user,
+      product: productRef(product),
+      data: { text: comment.text },
+      createdAt: comment.createdAt,
+    })),
+  ]),
+];
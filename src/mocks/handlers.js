@@ -0,0 +1,1011 @@
+import { generateId } from './db';
+import { MockError } from './errors';
+
+const ACCESS_TOKEN_TTL = 15 * 60 * 1000;
+
+// A 400 response carrying a message for a single form field
+const fieldError = (field, message) => new MockError(400, message, { errors: { [field]: message } });
+
+const now = () => new Date().toISOString();
+
+// Tokens encode the user id and expiry so they can be checked without state
+const issueTokens = (user) => ({
+  token: `mock.${user._id}.${Date.now() + ACCESS_TOKEN_TTL}`,
+  refreshToken: `mock-refresh.${user._id}`,
+});
+
+export const getUserIdFromToken = (token) => {
+  const [prefix, userId, expiresAt] = (token || '').split('.');
+  if (prefix !== 'mock' || Number(expiresAt) < Date.now()) {
+    return null;
+  }
+  return userId;
+};
+
+// Serializers mirror the populated documents the real API returns
+
+const authUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  avatar: user.avatar,
+  bio: user.bio,
+});
+
+const publicUser = (db, userId) => {
+  const user = db.users.find((u) => u._id === userId);
+  return user
+    ? { _id: user._id, username: user.username, avatar: user.avatar }
+    : { _id: userId, username: 'Deleted user', avatar: '' };
+};
+
+const serializeProduct = (db, product) => ({
+  ...product,
+  addedBy: publicUser(db, product.addedBy),
+  comments: product.comments.map((comment) => ({
+    ...comment,
+    user: publicUser(db, comment.user),
+  })),
+  reactions: product.reactions.map((reaction) => ({
+    ...reaction,
+    user: publicUser(db, reaction.user),
+  })),
+});
+
+// What anonymous visitors may see of a public wishlist: no invite code,
+// member list or comments
+const serializePublicWishlist = (db, wishlist) => {
+  const products = db.products.filter((p) => p.wishlist === wishlist._id);
+
+  return {
+    _id: wishlist._id,
+    title: wishlist.title,
+    description: wishlist.description,
+    tags: wishlist.tags,
+    owner: publicUser(db, wishlist.owner),
+    memberCount: wishlist.collaborators.length + 1,
+    productCount: products.length,
+    totalValue: products.reduce((sum, p) => sum + (p.price || 0), 0),
+    createdAt: wishlist.createdAt,
+    updatedAt: wishlist.updatedAt,
+  };
+};
+
+// `userId` is who the wishlist is sent to; only members who may invite
+// people get the invite code
+const serializeWishlist = (db, wishlist, userId) => {
+  const products = db.products.filter((p) => p.wishlist === wishlist._id);
+  const canInvite = ROLE_RANKS[getRole(wishlist, userId)] >= ROLE_RANKS.editor;
+
+  return {
+    ...wishlist,
+    inviteCode: canInvite ? getCurrentInviteCode(db, wishlist) : null,
+    owner: publicUser(db, wishlist.owner),
+    collaborators: wishlist.collaborators.map((collab) => ({
+      ...collab,
+      user: publicUser(db, collab.user),
+    })),
+    products: products.map((p) => p._id),
+    totalValue: products.reduce((sum, p) => sum + (p.price || 0), 0),
+  };
+};
+
+// Lookup and permission helpers
+
+const requireUser = (ctx) => {
+  if (!ctx.userId) {
+    throw new MockError(401, 'Not authorized, token failed');
+  }
+  return ctx.userId;
+};
+
+const findWishlist = (db, id) => {
+  const wishlist = db.wishlists.find((w) => w._id === id);
+  if (!wishlist) {
+    throw new MockError(404, 'Wishlist not found');
+  }
+  return wishlist;
+};
+
+// Private wishlists are reported as missing so their ids can't be probed
+const findPublicWishlist = (db, id) => {
+  const wishlist = db.wishlists.find((w) => w._id === id && w.isPublic);
+  if (!wishlist) {
+    throw new MockError(404, 'Wishlist not found');
+  }
+  return wishlist;
+};
+
+const findProduct = (db, id) => {
+  const product = db.products.find((p) => p._id === id);
+  if (!product) {
+    throw new MockError(404, 'Product not found');
+  }
+  return product;
+};
+
+const isMember = (wishlist, userId) =>
+  wishlist.owner === userId || wishlist.collaborators.some((c) => c.user === userId);
+
+const requireMember = (wishlist, userId) => {
+  if (!isMember(wishlist, userId)) {
+    throw new MockError(403, 'Access denied');
+  }
+};
+
+const requireOwner = (wishlist, userId) => {
+  if (wishlist.owner !== userId) {
+    throw new MockError(403, 'Only the owner can do that');
+  }
+};
+
+// Collaborator roles by level of access; the owner outranks them all
+const ROLE_RANKS = { viewer: 1, editor: 2, admin: 3, owner: 4 };
+
+// Collaborators stored before roles existed have none; they were editors
+const getMemberRole = (member) => member.role || 'editor';
+
+const getRole = (wishlist, userId) => {
+  if (wishlist.owner === userId) return 'owner';
+  const member = wishlist.collaborators.find((c) => c.user === userId);
+  return member ? getMemberRole(member) : null;
+};
+
+const requireRole = (wishlist, userId, minimum) => {
+  requireMember(wishlist, userId);
+  if ((ROLE_RANKS[getRole(wishlist, userId)] || 0) < ROLE_RANKS[minimum]) {
+    throw new MockError(403, `You need ${minimum} access to do that`);
+  }
+};
+
+// Editors may change the products they added, admins and the owner any
+const requireProductAccess = (wishlist, product, userId) => {
+  requireRole(wishlist, userId, 'editor');
+  if (getRole(wishlist, userId) === 'editor' && product.addedBy !== userId) {
+    throw new MockError(403, 'You can only change products you added');
+  }
+};
+
+// Admins manage editors and viewers, only the owner manages admins. Nobody
+// manages themselves here, that's what leaving is for.
+const findManagedMember = (wishlist, actorId, memberId) => {
+  requireRole(wishlist, actorId, 'admin');
+  const member = wishlist.collaborators.find((c) => c.user === memberId);
+  if (!member) {
+    throw new MockError(404, 'Member not found');
+  }
+  if (memberId === actorId) {
+    throw new MockError(400, "You can't change your own membership");
+  }
+  if (getMemberRole(member) === 'admin' && getRole(wishlist, actorId) !== 'owner') {
+    throw new MockError(403, 'Only the owner can manage admins');
+  }
+  return member;
+};
+
+const touch = (db, wishlistId) => {
+  const wishlist = db.wishlists.find((w) => w._id === wishlistId);
+  if (wishlist) {
+    wishlist.updatedAt = now();
+  }
+};
+
+// Append an entry to a wishlist's activity history
+const recordActivity = (db, { wishlist, type, actor, product = null, data = {} }) => {
+  if (!db.activity) {
+    db.activity = [];
+  }
+  db.activity.push({
+    _id: generateId('a'),
+    wishlist,
+    type,
+    actor,
+    product: product && { _id: product._id, name: product.name },
+    data,
+    createdAt: now(),
+  });
+};
+
+const serializeActivity = (db, entry) => ({
+  ...entry,
+  actor: publicUser(db, entry.actor),
+});
+
+const generateInviteCode = () => Math.random().toString(36).slice(2, 10).toUpperCase();
+
+// Invites live in their own collection. Databases saved before invites had
+// settings only know `wishlist.inviteCode`, which becomes an unlimited
+// editor invite.
+const getInvites = (db) => {
+  if (!db.invites) {
+    db.invites = db.wishlists
+      .filter((w) => w.inviteCode)
+      .map((w) => ({
+        code: w.inviteCode,
+        wishlist: w._id,
+        role: 'editor',
+        expiresAt: null,
+        maxUses: null,
+        uses: 0,
+        createdBy: w.owner,
+        createdAt: w.createdAt,
+        revokedAt: null,
+      }));
+  }
+  return db.invites;
+};
+
+const getInviteStatus = (invite) => {
+  if (invite.revokedAt) return 'revoked';
+  if (invite.expiresAt && new Date(invite.expiresAt) <= new Date()) return 'expired';
+  if (invite.maxUses && invite.uses >= invite.maxUses) return 'exhausted';
+  return 'active';
+};
+
+// The invite link members share, left out once it expires or is used up
+const getCurrentInviteCode = (db, wishlist) => {
+  const invite = wishlist.inviteCode && getInvites(db).find((i) => i.code === wishlist.inviteCode);
+  return invite && getInviteStatus(invite) === 'active' ? invite.code : null;
+};
+
+// Sent with a 410 when an invite exists but can no longer be used
+const INVITE_ERRORS = {
+  expired: { code: 'INVITE_EXPIRED', message: 'This invite link has expired' },
+  exhausted: { code: 'INVITE_EXHAUSTED', message: 'This invite link has already been used the maximum number of times' },
+  revoked: { code: 'INVITE_REVOKED', message: 'This invite link has been revoked' },
+};
+
+const findUsableInvite = (db, code) => {
+  const invite = getInvites(db).find((i) => i.code === code);
+  const wishlist = invite && db.wishlists.find((w) => w._id === invite.wishlist);
+  if (!wishlist) {
+    throw new MockError(404, 'Invalid invite code');
+  }
+
+  const status = getInviteStatus(invite);
+  if (status !== 'active') {
+    const { code: errorCode, message } = INVITE_ERRORS[status];
+    throw new MockError(410, message, { code: errorCode });
+  }
+  return { invite, wishlist };
+};
+
+const addInvite = (db, wishlist, userId, { role, expiresAt = null, maxUses = null }) => {
+  const invite = {
+    code: generateInviteCode(),
+    wishlist: wishlist._id,
+    role,
+    expiresAt,
+    maxUses,
+    uses: 0,
+    createdBy: userId,
+    createdAt: now(),
+    revokedAt: null,
+  };
+  getInvites(db).push(invite);
+  return invite;
+};
+
+const serializeInvite = (db, invite) => ({
+  ...invite,
+  createdBy: publicUser(db, invite.createdBy),
+  status: getInviteStatus(invite),
+});
+
+const PRODUCT_FIELDS = [
+  'name', 'description', 'price', 'currency', 'imageUrl', 'productUrl',
+  'category', 'brand', 'priority', 'status', 'tags',
+];
+
+// Only the URL goes into the database; inlining the file as a data URL
+// would soon fill the localStorage quota. Object URLs stop working when the
+// page is closed, so uploads don't outlive the session.
+const toObjectUrl = (file) => {
+  if (!file) {
+    throw new MockError(400, 'No file uploaded');
+  }
+  return URL.createObjectURL(file);
+};
+
+const MAX_PAGE_SIZE = 100;
+const MAX_BIO_LENGTH = 160;
+
+// Explore sort options and the public wishlist field each one orders by
+const EXPLORE_SORT_FIELDS = {
+  newest: 'createdAt',
+  items: 'productCount',
+  value: 'totalValue',
+};
+
+// Keyset pagination over a list sorted by `field`, highest (or newest) first.
+// The cursor encodes the last item's sort value and id, so items added or
+// removed while paging don't shift later pages. Without a `limit` the whole
+// list is returned as a plain array, as before pagination existed.
+const compareValues = (a, b) => (typeof a === 'number' ? a - b : String(a).localeCompare(String(b)));
+
+const paginate = (items, field, { cursor, limit }, serialize) => {
+  const compare = (a, b) => compareValues(b[field], a[field]) || b._id.localeCompare(a._id);
+  const sorted = [...items].sort(compare);
+  if (!limit) {
+    return sorted.map(serialize);
+  }
+
+  let start = 0;
+  if (cursor) {
+    let after;
+    try {
+      after = JSON.parse(atob(cursor));
+    } catch {
+      throw new MockError(400, 'Invalid cursor');
+    }
+    start = sorted.findIndex((item) => compare(after, item) < 0);
+    if (start === -1) start = sorted.length;
+  }
+
+  const size = Math.min(Math.max(Number(limit) || 1, 1), MAX_PAGE_SIZE);
+  const page = sorted.slice(start, start + size);
+  const last = page[page.length - 1];
+  const hasMore = start + size < sorted.length;
+
+  return {
+    items: page.map(serialize),
+    nextCursor: hasMore ? btoa(JSON.stringify({ [field]: last[field], _id: last._id })) : null,
+    total: sorted.length,
+  };
+};
+
+// Route table: `:name` segments are passed to handlers as params
+export const routes = [
+  // Auth
+  {
+    method: 'post',
+    path: '/auth/register',
+    handler: ({ db, body }) => {
+      const { username, email, password } = body;
+      if (!username || !email || !password) {
+        throw new MockError(400, 'Please provide all required fields');
+      }
+      if (db.users.some((u) => u.email === email)) {
+        throw fieldError('email', 'User already exists with this email');
+      }
+      if (db.users.some((u) => u.username === username)) {
+        throw fieldError('username', 'Username is already taken');
+      }
+
+      const user = {
+        _id: generateId('u'),
+        username,
+        email,
+        password,
+        avatar: '',
+        bio: '',
+        createdAt: now(),
+      };
+      db.users.push(user);
+      return { status: 201, data: { ...issueTokens(user), user: authUser(user) } };
+    },
+  },
+  {
+    method: 'post',
+    path: '/auth/login',
+    handler: ({ db, body }) => {
+      const user = db.users.find((u) => u.email === body.email && u.password === body.password);
+      if (!user) {
+        throw new MockError(401, 'Invalid email or password');
+      }
+      return { ...issueTokens(user), user: authUser(user) };
+    },
+  },
+  {
+    method: 'post',
+    path: '/auth/refresh',
+    handler: ({ db, body }) => {
+      const [prefix, userId] = (body.refreshToken || '').split('.');
+      const user = prefix === 'mock-refresh' && db.users.find((u) => u._id === userId);
+      if (!user) {
+        throw new MockError(401, 'Invalid refresh token');
+      }
+      return issueTokens(user);
+    },
+  },
+  {
+    method: 'get',
+    path: '/auth/me',
+    handler: ({ db, ...ctx }) => {
+      const user = db.users.find((u) => u._id === requireUser(ctx));
+      return { user: authUser(user) };
+    },
+  },
+  {
+    method: 'put',
+    path: '/auth/profile',
+    handler: ({ db, body, ...ctx }) => {
+      const user = db.users.find((u) => u._id === requireUser(ctx));
+      if (body.username && db.users.some((u) => u.username === body.username && u._id !== user._id)) {
+        throw fieldError('username', 'Username is already taken');
+      }
+      if (body.bio && body.bio.length > MAX_BIO_LENGTH) {
+        throw fieldError('bio', `Bio must be ${MAX_BIO_LENGTH} characters or less`);
+      }
+      Object.assign(user, {
+        username: body.username ?? user.username,
+        bio: body.bio ?? user.bio,
+      });
+      return { user: authUser(user) };
+    },
+  },
+
+  // Users
+  {
+    // Public profile. Signed-in visitors also get the wishlists they share
+    // with the user.
+    method: 'get',
+    path: '/users/:username',
+    handler: ({ db, params, ...ctx }) => {
+      const user = db.users.find((u) => u.username === params.username);
+      if (!user) {
+        throw new MockError(404, 'User not found');
+      }
+
+      const byRecentUpdate = (a, b) => b.updatedAt.localeCompare(a.updatedAt);
+      const publicWishlists = db.wishlists
+        .filter((w) => w.isPublic && w.owner === user._id)
+        .sort(byRecentUpdate);
+      const sharedWishlists = ctx.userId && ctx.userId !== user._id
+        ? db.wishlists
+          .filter((w) => isMember(w, user._id) && isMember(w, ctx.userId))
+          .sort(byRecentUpdate)
+        : [];
+
+      return {
+        user: {
+          _id: user._id,
+          username: user.username,
+          avatar: user.avatar,
+          bio: user.bio,
+          createdAt: user.createdAt,
+        },
+        publicWishlists: publicWishlists.map((w) => serializePublicWishlist(db, w)),
+        sharedWishlists: sharedWishlists.map((w) => serializePublicWishlist(db, w)),
+      };
+    },
+  },
+
+  // Wishlists
+  {
+    method: 'get',
+    path: '/wishlists',
+    handler: ({ db, query, ...ctx }) => {
+      const userId = requireUser(ctx);
+      const wishlists = db.wishlists.filter((w) => isMember(w, userId));
+      const page = paginate(wishlists, 'updatedAt', query, (w) => serializeWishlist(db, w, userId));
+      if (Array.isArray(page)) {
+        return page;
+      }
+
+      // Across every wishlist, not just this page, for the dashboard summary
+      const wishlistIds = new Set(wishlists.map((w) => w._id));
+      const totalValue = db.products
+        .filter((p) => wishlistIds.has(p.wishlist))
+        .reduce((sum, p) => sum + (p.price || 0), 0);
+      return { ...page, totalValue };
+    },
+  },
+  {
+    method: 'post',
+    path: '/wishlists',
+    handler: ({ db, body, ...ctx }) => {
+      const userId = requireUser(ctx);
+      if (!body.title?.trim()) {
+        throw fieldError('title', 'Title is required');
+      }
+
+      const wishlist = {
+        _id: generateId('w'),
+        title: body.title.trim(),
+        description: body.description || '',
+        isPublic: Boolean(body.isPublic),
+        tags: body.tags || [],
+        owner: userId,
+        collaborators: [],
+        inviteCode: null,
+        createdAt: now(),
+        updatedAt: now(),
+      };
+      db.wishlists.push(wishlist);
+      return { status: 201, data: serializeWishlist(db, wishlist, userId) };
+    },
+  },
+  {
+    // Invite preview, also shown to signed-out visitors
+    method: 'get',
+    path: '/wishlists/join/:code',
+    handler: ({ db, params, ...ctx }) => {
+      const { invite, wishlist } = findUsableInvite(db, params.code);
+
+      return {
+        wishlist: {
+          _id: wishlist._id,
+          title: wishlist.title,
+          description: wishlist.description,
+          owner: publicUser(db, wishlist.owner),
+          memberCount: wishlist.collaborators.length + 1,
+          productCount: db.products.filter((p) => p.wishlist === wishlist._id).length,
+        },
+        invite: { role: invite.role, expiresAt: invite.expiresAt },
+        isMember: Boolean(ctx.userId) && isMember(wishlist, ctx.userId),
+      };
+    },
+  },
+  {
+    method: 'post',
+    path: '/wishlists/join/:code',
+    handler: ({ db, params, ...ctx }) => {
+      const userId = requireUser(ctx);
+      const { invite, wishlist } = findUsableInvite(db, params.code);
+      if (isMember(wishlist, userId)) {
+        throw new MockError(400, 'You are already a member of this wishlist');
+      }
+
+      invite.uses += 1;
+      wishlist.collaborators.push({ user: userId, role: invite.role, joinedAt: now() });
+      recordActivity(db, { wishlist: wishlist._id, type: 'member-joined', actor: userId, data: { role: invite.role } });
+      touch(db, wishlist._id);
+      return {
+        message: 'Successfully joined wishlist',
+        wishlist: serializeWishlist(db, wishlist, userId),
+      };
+    },
+  },
+  {
+    method: 'get',
+    path: '/wishlists/:id',
+    handler: ({ db, params, ...ctx }) => {
+      const userId = requireUser(ctx);
+      const wishlist = findWishlist(db, params.id);
+      requireMember(wishlist, userId);
+      return serializeWishlist(db, wishlist, userId);
+    },
+  },
+  {
+    method: 'put',
+    path: '/wishlists/:id',
+    handler: ({ db, params, body, ...ctx }) => {
+      const userId = requireUser(ctx);
+      const wishlist = findWishlist(db, params.id);
+      requireRole(wishlist, userId, 'admin');
+
+      ['title', 'description', 'isPublic', 'tags'].forEach((field) => {
+        if (body[field] !== undefined) {
+          wishlist[field] = body[field];
+        }
+      });
+      touch(db, wishlist._id);
+      return serializeWishlist(db, wishlist, userId);
+    },
+  },
+  {
+    method: 'delete',
+    path: '/wishlists/:id',
+    handler: ({ db, params, ...ctx }) => {
+      const wishlist = findWishlist(db, params.id);
+      requireOwner(wishlist, requireUser(ctx));
+
+      db.wishlists = db.wishlists.filter((w) => w._id !== wishlist._id);
+      db.products = db.products.filter((p) => p.wishlist !== wishlist._id);
+      db.activity = (db.activity || []).filter((entry) => entry.wishlist !== wishlist._id);
+      db.invites = getInvites(db).filter((invite) => invite.wishlist !== wishlist._id);
+      return { message: 'Wishlist deleted' };
+    },
+  },
+  {
+    method: 'get',
+    path: '/wishlists/:id/activity',
+    handler: ({ db, params, query, ...ctx }) => {
+      const wishlist = findWishlist(db, params.id);
+      requireMember(wishlist, requireUser(ctx));
+
+      // `type` filters by group, e.g. "product" matches product-added/updated/deleted
+      const entries = (db.activity || []).filter(
+        (entry) =>
+          entry.wishlist === wishlist._id &&
+          (!query.type || entry.type.startsWith(`${query.type}-`)) &&
+          (!query.actor || entry.actor === query.actor)
+      );
+      return paginate(entries, 'createdAt', query, (entry) => serializeActivity(db, entry));
+    },
+  },
+  {
+    method: 'post',
+    path: '/wishlists/:id/leave',
+    handler: ({ db, params, ...ctx }) => {
+      const userId = requireUser(ctx);
+      const wishlist = findWishlist(db, params.id);
+      if (wishlist.owner === userId) {
+        throw new MockError(400, 'Owners cannot leave their own wishlist');
+      }
+      requireMember(wishlist, userId);
+
+      wishlist.collaborators = wishlist.collaborators.filter((c) => c.user !== userId);
+      recordActivity(db, { wishlist: wishlist._id, type: 'member-left', actor: userId });
+      touch(db, wishlist._id);
+      return { message: 'Left wishlist' };
+    },
+  },
+  {
+    // The wishlist's default invite: editor role, no expiry or use limit.
+    // This is the code "Copy Invite Link" shares. Generating a new one
+    // revokes the previous default, so a leaked link can be rotated out.
+    method: 'post',
+    path: '/wishlists/:id/invite',
+    handler: ({ db, params, ...ctx }) => {
+      const userId = requireUser(ctx);
+      const wishlist = findWishlist(db, params.id);
+      requireRole(wishlist, userId, 'editor');
+
+      const previous = getInvites(db).find((i) => i.code === wishlist.inviteCode);
+      if (previous && !previous.revokedAt) {
+        previous.revokedAt = now();
+      }
+      const invite = addInvite(db, wishlist, userId, { role: 'editor' });
+      wishlist.inviteCode = invite.code;
+      touch(db, wishlist._id);
+      return { inviteCode: invite.code };
+    },
+  },
+  {
+    // An extra invite with its own role, expiry and use limit. It's only
+    // returned to its creator and never replaces the default invite.
+    method: 'post',
+    path: '/wishlists/:id/invites',
+    handler: ({ db, params, body, ...ctx }) => {
+      const userId = requireUser(ctx);
+      const wishlist = findWishlist(db, params.id);
+      requireRole(wishlist, userId, 'editor');
+
+      const role = body.role || 'editor';
+      if (!['viewer', 'editor', 'admin'].includes(role)) {
+        throw fieldError('role', 'Role must be viewer, editor or admin');
+      }
+      if (role === 'admin' && getRole(wishlist, userId) !== 'owner') {
+        throw fieldError('role', 'Only the owner can invite admins');
+      }
+      const expiresAt = body.expiresAt ? new Date(body.expiresAt) : null;
+      if (expiresAt && !(expiresAt > new Date())) {
+        throw fieldError('expiresAt', 'Expiry must be in the future');
+      }
+      const maxUses = body.maxUses ? Number(body.maxUses) : null;
+      if (maxUses !== null && !(Number.isInteger(maxUses) && maxUses > 0)) {
+        throw fieldError('maxUses', 'Maximum uses must be a whole number above zero');
+      }
+
+      const invite = addInvite(db, wishlist, userId, {
+        role,
+        expiresAt: expiresAt && expiresAt.toISOString(),
+        maxUses,
+      });
+      return { status: 201, data: { invite: serializeInvite(db, invite) } };
+    },
+  },
+  {
+    // Every invite ever made for the wishlist, newest first, with its status
+    method: 'get',
+    path: '/wishlists/:id/invites',
+    handler: ({ db, params, ...ctx }) => {
+      const wishlist = findWishlist(db, params.id);
+      requireRole(wishlist, requireUser(ctx), 'admin');
+
+      return getInvites(db)
+        .filter((invite) => invite.wishlist === wishlist._id)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map((invite) => serializeInvite(db, invite));
+    },
+  },
+  {
+    method: 'delete',
+    path: '/wishlists/:id/invites/:code',
+    handler: ({ db, params, ...ctx }) => {
+      const wishlist = findWishlist(db, params.id);
+      requireRole(wishlist, requireUser(ctx), 'admin');
+      const invite = getInvites(db).find((i) => i.code === params.code && i.wishlist === wishlist._id);
+      if (!invite) {
+        throw new MockError(404, 'Invite not found');
+      }
+
+      if (!invite.revokedAt) {
+        invite.revokedAt = now();
+        if (wishlist.inviteCode === invite.code) {
+          wishlist.inviteCode = null;
+        }
+        touch(db, wishlist._id);
+      }
+      return { inviteCode: wishlist.inviteCode, invite: serializeInvite(db, invite) };
+    },
+  },
+  {
+    method: 'put',
+    path: '/wishlists/:id/members/:userId',
+    handler: ({ db, params, body, ...ctx }) => {
+      const userId = requireUser(ctx);
+      const wishlist = findWishlist(db, params.id);
+      const member = findManagedMember(wishlist, userId, params.userId);
+      if (!['viewer', 'editor', 'admin'].includes(body.role)) {
+        throw fieldError('role', 'Role must be viewer, editor or admin');
+      }
+      if (body.role === 'admin' && getRole(wishlist, userId) !== 'owner') {
+        throw new MockError(403, 'Only the owner can make someone an admin');
+      }
+
+      if (body.role !== getMemberRole(member)) {
+        recordActivity(db, {
+          wishlist: wishlist._id,
+          type: 'member-role-changed',
+          actor: userId,
+          data: { member: publicUser(db, member.user), role: body.role, previousRole: getMemberRole(member) },
+        });
+        member.role = body.role;
+        touch(db, wishlist._id);
+      }
+      return serializeWishlist(db, wishlist, userId);
+    },
+  },
+  {
+    method: 'delete',
+    path: '/wishlists/:id/members/:userId',
+    handler: ({ db, params, ...ctx }) => {
+      const userId = requireUser(ctx);
+      const wishlist = findWishlist(db, params.id);
+      findManagedMember(wishlist, userId, params.userId);
+
+      wishlist.collaborators = wishlist.collaborators.filter((c) => c.user !== params.userId);
+      recordActivity(db, {
+        wishlist: wishlist._id,
+        type: 'member-removed',
+        actor: userId,
+        data: { member: publicUser(db, params.userId) },
+      });
+      touch(db, wishlist._id);
+      return serializeWishlist(db, wishlist, userId);
+    },
+  },
+  {
+    // The previous owner stays on as an admin
+    method: 'post',
+    path: '/wishlists/:id/transfer',
+    handler: ({ db, params, body, ...ctx }) => {
+      const userId = requireUser(ctx);
+      const wishlist = findWishlist(db, params.id);
+      requireOwner(wishlist, userId);
+      if (!wishlist.collaborators.some((c) => c.user === body.userId)) {
+        throw new MockError(400, 'Ownership can only go to a current member');
+      }
+
+      wishlist.collaborators = [
+        ...wishlist.collaborators.filter((c) => c.user !== body.userId),
+        { user: userId, role: 'admin', joinedAt: wishlist.createdAt },
+      ];
+      wishlist.owner = body.userId;
+      recordActivity(db, {
+        wishlist: wishlist._id,
+        type: 'member-made-owner',
+        actor: userId,
+        data: { member: publicUser(db, body.userId) },
+      });
+      touch(db, wishlist._id);
+      return serializeWishlist(db, wishlist, userId);
+    },
+  },
+
+  // Products
+  {
+    method: 'get',
+    path: '/products/wishlist/:wishlistId',
+    handler: ({ db, params, query, ...ctx }) => {
+      const wishlist = findWishlist(db, params.wishlistId);
+      requireMember(wishlist, requireUser(ctx));
+
+      return paginate(
+        db.products.filter((p) => p.wishlist === wishlist._id),
+        'createdAt',
+        query,
+        (p) => serializeProduct(db, p)
+      );
+    },
+  },
+  {
+    method: 'post',
+    path: '/products',
+    handler: ({ db, body, ...ctx }) => {
+      const userId = requireUser(ctx);
+      const wishlist = findWishlist(db, body.wishlistId);
+      requireRole(wishlist, userId, 'editor');
+      if (!body.name?.trim()) {
+        throw fieldError('name', 'Product name is required');
+      }
+
+      const { wishlistId, ...fields } = body;
+      const product = {
+        description: '',
+        price: 0,
+        currency: 'USD',
+        imageUrl: '',
+        productUrl: '',
+        category: '',
+        brand: '',
+        priority: 'medium',
+        tags: [],
+        ...fields,
+        _id: generateId('p'),
+        wishlist: wishlistId,
+        status: 'wanted',
+        addedBy: userId,
+        comments: [],
+        reactions: [],
+        createdAt: now(),
+        updatedAt: now(),
+      };
+      db.products.push(product);
+      recordActivity(db, { wishlist: wishlistId, type: 'product-added', actor: userId, product });
+      touch(db, wishlistId);
+      return { status: 201, data: serializeProduct(db, product) };
+    },
+  },
+  {
+    method: 'put',
+    path: '/products/:id',
+    handler: ({ db, params, body, ...ctx }) => {
+      const userId = requireUser(ctx);
+      const product = findProduct(db, params.id);
+      requireProductAccess(findWishlist(db, product.wishlist), product, userId);
+
+      const changes = {};
+      PRODUCT_FIELDS.forEach((field) => {
+        if (body[field] !== undefined && JSON.stringify(body[field]) !== JSON.stringify(product[field])) {
+          product[field] = body[field];
+          changes[field] = body[field];
+        }
+      });
+      if (Object.keys(changes).length > 0) {
+        recordActivity(db, { wishlist: product.wishlist, type: 'product-updated', actor: userId, product, data: { changes } });
+      }
+      product.updatedAt = now();
+      touch(db, product.wishlist);
+      return serializeProduct(db, product);
+    },
+  },
+  {
+    method: 'delete',
+    path: '/products/:id',
+    handler: ({ db, params, ...ctx }) => {
+      const userId = requireUser(ctx);
+      const product = findProduct(db, params.id);
+      requireProductAccess(findWishlist(db, product.wishlist), product, userId);
+
+      db.products = db.products.filter((p) => p._id !== product._id);
+      recordActivity(db, { wishlist: product.wishlist, type: 'product-deleted', actor: userId, product });
+      touch(db, product.wishlist);
+      return { message: 'Product deleted' };
+    },
+  },
+  {
+    method: 'post',
+    path: '/products/:id/comments',
+    handler: ({ db, params, body, ...ctx }) => {
+      const userId = requireUser(ctx);
+      const product = findProduct(db, params.id);
+      requireMember(findWishlist(db, product.wishlist), userId);
+      if (!body.text?.trim()) {
+        throw fieldError('text', 'Comment text is required');
+      }
+
+      const comment = { _id: generateId('c'), user: userId, text: body.text.trim(), createdAt: now() };
+      product.comments.push(comment);
+      recordActivity(db, { wishlist: product.wishlist, type: 'comment-added', actor: userId, product, data: { text: comment.text } });
+      return { status: 201, data: { ...comment, user: publicUser(db, userId) } };
+    },
+  },
+  {
+    method: 'post',
+    path: '/products/:id/reactions',
+    handler: ({ db, params, body, ...ctx }) => {
+      const userId = requireUser(ctx);
+      const product = findProduct(db, params.id);
+      requireMember(findWishlist(db, product.wishlist), userId);
+
+      const reaction = { _id: generateId('r'), user: userId, emoji: body.emoji };
+      product.reactions = [...product.reactions.filter((r) => r.user !== userId), reaction];
+      recordActivity(db, { wishlist: product.wishlist, type: 'reaction-added', actor: userId, product, data: { emoji: body.emoji } });
+      return { status: 201, data: { ...reaction, user: publicUser(db, userId) } };
+    },
+  },
+  {
+    method: 'delete',
+    path: '/products/:id/reactions',
+    handler: ({ db, params, ...ctx }) => {
+      const userId = requireUser(ctx);
+      const product = findProduct(db, params.id);
+      product.reactions = product.reactions.filter((r) => r.user !== userId);
+      recordActivity(db, { wishlist: product.wishlist, type: 'reaction-removed', actor: userId, product });
+      return { message: 'Reaction removed' };
+    },
+  },
+
+  // Public wishlists, readable without an account
+  {
+    // Search by title, description and tags. `tags` holds facet counts for
+    // the search results before narrowing them down to `tag`.
+    method: 'get',
+    path: '/public/wishlists',
+    handler: ({ db, query }) => {
+      const search = (query.q || '').trim().toLowerCase();
+      const matches = db.wishlists
+        .filter((w) => w.isPublic)
+        .filter((w) =>
+          !search ||
+          [w.title, w.description, ...(w.tags || [])].some((text) => text?.toLowerCase().includes(search))
+        )
+        .map((w) => serializePublicWishlist(db, w));
+
+      const tagCounts = {};
+      matches.forEach((w) => (w.tags || []).forEach((tag) => {
+        tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+      }));
+      const tags = Object.entries(tagCounts)
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+
+      const results = query.tag ? matches.filter((w) => w.tags?.includes(query.tag)) : matches;
+      const field = EXPLORE_SORT_FIELDS[query.sort] || EXPLORE_SORT_FIELDS.newest;
+      const page = paginate(results, field, { limit: MAX_PAGE_SIZE, ...query }, (w) => w);
+      return { ...page, tags };
+    },
+  },
+  {
+    method: 'get',
+    path: '/public/wishlists/:id',
+    handler: ({ db, params }) => serializePublicWishlist(db, findPublicWishlist(db, params.id)),
+  },
+  {
+    method: 'get',
+    path: '/public/wishlists/:id/products',
+    handler: ({ db, params, query }) => {
+      const wishlist = findPublicWishlist(db, params.id);
+
+      return paginate(
+        db.products.filter((p) => p.wishlist === wishlist._id),
+        'createdAt',
+        query,
+        (p) => ({ ...serializeProduct(db, p), comments: [] })
+      );
+    },
+  },
+
+  // Uploads are served from object URLs for the rest of the session
+  {
+    method: 'post',
+    path: '/upload/avatar',
+    handler: ({ db, body, ...ctx }) => {
+      const user = db.users.find((u) => u._id === requireUser(ctx));
+      user.avatar = toObjectUrl(body.get('avatar'));
+      return { avatarUrl: user.avatar, user: authUser(user) };
+    },
+  },
+  {
+    method: 'post',
+    path: '/upload/product-image',
+    handler: ({ body, ...ctx }) => {
+      requireUser(ctx);
+      return { imageUrl: toObjectUrl(body.get('image')) };
+    },
+  },
+  {
+    method: 'delete',
+    path: '/upload/image',
+    handler: () => ({ message: 'Image deleted' }),
+  },
+  {
+    method: 'get',
+    path: '/upload/test',
+    handler: () => ({ configured: true, message: 'Mock uploads are enabled' }),
+  },
+];
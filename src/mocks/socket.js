@@ -0,0 +1,117 @@
+import { generateId } from './db';
+import { getUserIdFromToken } from './handlers';
+
+const CHANNEL_NAME = 'wishlist-mock-socket';
+const CONNECT_DELAY = 100;
+
+// Events the emulated server handles itself instead of relaying
+const ROOM_EVENTS = ['join-wishlist', 'leave-wishlist'];
+
+// Stand-in for a socket.io client socket. Rooms are emulated with a
+// BroadcastChannel: an event emitted with a `wishlistId` is delivered to every
+// other mock socket (in any tab) that has joined that wishlist's room, the way
+// the real server relays it with `socket.to(room).emit()`.
+class MockSocket {
+  constructor(options = {}) {
+    this.id = generateId('s');
+    this.auth = options.auth;
+    this.connected = false;
+    this.userId = null;
+    this.rooms = new Set();
+    this.handlers = new Map();
+    this.channel = null;
+    this.connectTimer = null;
+  }
+
+  on(event, callback) {
+    if (!this.handlers.has(event)) {
+      this.handlers.set(event, new Set());
+    }
+    this.handlers.get(event).add(callback);
+    return this;
+  }
+
+  off(event, callback) {
+    if (!callback) {
+      this.handlers.delete(event);
+    } else {
+      this.handlers.get(event)?.delete(callback);
+    }
+    return this;
+  }
+
+  trigger(event, ...args) {
+    this.handlers.get(event)?.forEach((callback) => callback(...args));
+  }
+
+  // socket.io accepts `auth` as an object or a callback-style function
+  readAuth() {
+    if (typeof this.auth === 'function') {
+      let auth;
+      this.auth((value) => {
+        auth = value;
+      });
+      return auth;
+    }
+    return this.auth;
+  }
+
+  connect() {
+    if (this.connected || this.connectTimer) return this;
+
+    this.connectTimer = setTimeout(() => {
+      this.connectTimer = null;
+
+      // Reject the handshake the way the server's auth middleware does
+      this.userId = getUserIdFromToken(this.readAuth()?.token);
+      if (!this.userId) {
+        const error = new Error('Authentication error');
+        error.data = { code: 'UNAUTHORIZED' };
+        this.trigger('connect_error', error);
+        return;
+      }
+
+      this.channel = new BroadcastChannel(CHANNEL_NAME);
+      this.channel.onmessage = ({ data: message }) => this.receive(message);
+      this.connected = true;
+      this.trigger('connect');
+    }, CONNECT_DELAY);
+
+    return this;
+  }
+
+  disconnect() {
+    clearTimeout(this.connectTimer);
+    this.connectTimer = null;
+    if (!this.connected) return this;
+
+    this.channel?.close();
+    this.channel = null;
+    this.connected = false;
+    this.rooms.clear();
+    this.trigger('disconnect', 'io client disconnect');
+    return this;
+  }
+
+  emit(event, data) {
+    if (!this.connected) return this;
+
+    if (event === 'join-wishlist') {
+      this.rooms.add(data);
+    } else if (event === 'leave-wishlist') {
+      this.rooms.delete(data);
+    } else if (!ROOM_EVENTS.includes(event) && data?.wishlistId) {
+      this.channel.postMessage({ event, data, room: data.wishlistId, sender: this.id });
+    }
+    return this;
+  }
+
+  receive({ event, data, room, sender }) {
+    if (sender !== this.id && this.rooms.has(room)) {
+      this.trigger(event, data);
+    }
+  }
+}
+
+// Same call signature as socket.io-client's `io()`
+export const createMockSocket = (_url, options) => new MockSocket(options);
@@ -1,8 +1,19 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useAuth } from '../context/AuthContext';
 import { wishlistsAPI } from '../services/api';
+import socketService from '../services/socket';
+import {
+  queryKeys,
+  toPage,
+  PAGE_SIZE,
+  addWishlistToCache,
+  updateWishlistInCache,
+  removeWishlistFromCache
+} from '../services/queryCache';
+import useInfiniteQuery from '../hooks/useInfiniteQuery';
+import useWishlistEvents from '../hooks/useWishlistEvents';
 import {
   PlusIcon,
   HeartIcon,
@@ -15,48 +26,60 @@ import {
   PencilIcon,
   ClipboardIcon
 } from '@heroicons/react/24/outline';
-import { formatCurrency, formatRelativeTime, generateAvatarUrl, copyToClipboard } from '../utils/helpers';
+import { formatCurrency, formatRelativeTime, generateAvatarUrl, copyToClipboard, getInviteUrl, getDisplayName } from '../utils/helpers';
+import { getPermissions } from '../utils/permissions';
 import LoadingSpinner from '../components/LoadingSpinner';
-import CreateWishlistModal from '../components/CreateWishlistModal';
-import EditWishlistModal from '../components/EditWishlistModal';
-import JoinWishlistModal from '../components/JoinWishlistModal';
+import InfiniteScrollTrigger from '../components/InfiniteScrollTrigger';
+import UserLink from '../components/UserLink';
+import LazyModal from '../components/LazyModal';
+import lazyWithPreload from '../utils/lazyWithPreload';
+import { preloadRoute } from './lazy';
+
+// Modals are only downloaded when first opened (or their button is hovered)
+const CreateWishlistModal = lazyWithPreload(() => import('../components/CreateWishlistModal'));
+const EditWishlistModal = lazyWithPreload(() => import('../components/EditWishlistModal'));
+const JoinWishlistModal = lazyWithPreload(() => import('../components/JoinWishlistModal'));
+
+const fetchWishlists = async (params) => {
+  const response = await wishlistsAPI.getAll(params);
+  return { ...toPage(response.data), totalValue: response.data.totalValue ?? null };
+};
 
 const Dashboard = () => {
   const { user } = useAuth();
-  const [wishlists, setWishlists] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
+  const {
+    data,
+    items: wishlists,
+    total,
+    isLoading,
+    error: loadError,
+    hasNextPage,
+    isFetchingNextPage,
+    fetchNextPage,
+  } = useInfiniteQuery(queryKeys.wishlists(), fetchWishlists);
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [editingWishlist, setEditingWishlist] = useState(null);
   const [showJoinModal, setShowJoinModal] = useState(false);
-  const [error, setError] = useState('');
   const [shareMessage, setShareMessage] = useState('');
 
-  useEffect(() => {
-    fetchWishlists();
-  }, []);
+  // Live renames, membership changes and deletions for every listed wishlist
+  useWishlistEvents(wishlists.map((w) => w._id), user?.id);
 
-  const fetchWishlists = async () => {
-    try {
-      setIsLoading(true);
-      const response = await wishlistsAPI.getAll();
-      setWishlists(response.data);
-    } catch (error) {
-      console.error('Error fetching wishlists:', error);
-      setError('Failed to load wishlists');
-    } finally {
-      setIsLoading(false);
-    }
-  };
+  const error = loadError?.message || '';
+
+  // Prefer the server's total; summing the loaded pages misses the rest
+  const totalValue = data?.totalValue ?? wishlists.reduce((sum, w) => sum + (w.totalValue || 0), 0);
+  const isPartialValue = data?.totalValue == null && hasNextPage;
 
   const handleCreateWishlist = async (wishlistData) => {
     try {
       const response = await wishlistsAPI.create(wishlistData);
-      setWishlists([response.data, ...wishlists]);
+      addWishlistToCache(response.data);
       setShowCreateModal(false);
     } catch (error) {
       console.error('Error creating wishlist:', error);
-      throw new Error(error.response?.data?.message || 'Failed to create wishlist');
+      throw error;
     }
   };
 
@@ -67,10 +90,11 @@ const Dashboard = () => {
 
     try {
       await wishlistsAPI.delete(wishlistId);
-      setWishlists(wishlists.filter(w => w._id !== wishlistId));
+      socketService.emitWishlistDeleted({ wishlistId });
+      removeWishlistFromCache(wishlistId);
     } catch (error) {
       console.error('Error deleting wishlist:', error);
-      alert('Failed to delete wishlist');
+      alert(error.message);
     }
   };
 
@@ -82,12 +106,18 @@ const Dashboard = () => {
   const handleUpdateWishlist = async (wishlistData) => {
     try {
       const response = await wishlistsAPI.update(editingWishlist._id, wishlistData);
-      setWishlists(prev => prev.map(w => w._id === editingWishlist._id ? response.data : w));
+      updateWishlistInCache(response.data);
+      // Only the edited details; the invite code isn't for every member
+      const { _id, title, description, isPublic, tags, updatedAt } = response.data;
+      socketService.emitWishlistUpdated({
+        wishlistId: _id,
+        wishlist: { _id, title, description, isPublic, tags, updatedAt }
+      });
       setShowEditModal(false);
       setEditingWishlist(null);
     } catch (error) {
       console.error('Error updating wishlist:', error);
-      throw new Error(error.response?.data?.message || 'Failed to update wishlist');
+      throw error;
     }
   };
 
@@ -98,37 +128,40 @@ const Dashboard = () => {
         const response = await wishlistsAPI.generateInvite(wishlist._id);
         const newInviteCode = response.data.inviteCode;
 
-        // Update the wishlist in state
-        setWishlists(prev => prev.map(w =>
-          w._id === wishlist._id
-            ? { ...w, inviteCode: newInviteCode }
-            : w
-        ));
+        // Update the wishlist in the cache. Not broadcast: viewers can't
+        // invite, so they don't get the code.
+        updateWishlistInCache({ ...wishlist, inviteCode: newInviteCode });
 
-        // Then copy it
-        const success = await copyToClipboard(newInviteCode);
+        // Then copy its link
+        const success = await copyToClipboard(getInviteUrl(newInviteCode));
         if (success) {
-          setShareMessage('Invite code generated and copied!');
+          setShareMessage('Invite link generated and copied!');
         } else {
-          setShareMessage('Invite code generated but failed to copy');
+          setShareMessage('Invite link generated but failed to copy');
         }
       } catch (error) {
-        setShareMessage('Failed to generate invite code');
+        setShareMessage(error.message);
       }
     } else {
-      // Just copy existing invite code
-      const success = await copyToClipboard(wishlist.inviteCode);
+      // Just copy the existing invite link
+      const success = await copyToClipboard(getInviteUrl(wishlist.inviteCode));
       if (success) {
-        setShareMessage('Invite code copied to clipboard!');
+        setShareMessage('Invite link copied to clipboard!');
       } else {
-        setShareMessage('Failed to copy invite code');
+        setShareMessage('Failed to copy invite link');
       }
     }
     setTimeout(() => setShareMessage(''), 3000);
   };
 
   const handleJoinWishlist = (newWishlist) => {
-    setWishlists(prev => [newWishlist, ...prev]);
+    addWishlistToCache(newWishlist);
+
+    // Let members who have the wishlist open know we're here
+    const member = newWishlist.collaborators?.find((c) => c.user._id === user?.id);
+    if (member) {
+      socketService.emitMemberJoined({ wishlistId: newWishlist._id, member });
+    }
   };
 
   if (isLoading) {
@@ -159,17 +192,17 @@ const Dashboard = () => {
                 <HeartIcon className="w-5 h-5 text-blue-600" />
                 <span className="text-sm text-gray-600">Total Wishlists</span>
               </div>
-              <p className="text-2xl font-bold text-gray-900">{wishlists.length}</p>
+              <p className="text-2xl font-bold text-gray-900">{total ?? wishlists.length}</p>
             </div>
             
             <div className="bg-white rounded-lg p-4 shadow-sm border">
               <div className="flex items-center space-x-2">
                 <CurrencyDollarIcon className="w-5 h-5 text-green-600" />
-                <span className="text-sm text-gray-600">Total Value</span>
+                <span className="text-sm text-gray-600">
+                  Total Value{isPartialValue && ' (loaded wishlists)'}
+                </span>
               </div>
-              <p className="text-2xl font-bold text-gray-900">
-                {formatCurrency(wishlists.reduce((sum, w) => sum + (w.totalValue || 0), 0))}
-              </p>
+              <p className="text-2xl font-bold text-gray-900">{formatCurrency(totalValue)}</p>
             </div>
           </div>
 
@@ -178,6 +211,7 @@ const Dashboard = () => {
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
               onClick={() => setShowJoinModal(true)}
+              onMouseEnter={JoinWishlistModal.preload}
               className="flex items-center space-x-2 px-6 py-3 bg-gradient-to-r from-green-600 to-blue-600 text-white rounded-lg font-medium hover:from-green-700 hover:to-blue-700 transition-all shadow-lg"
             >
               <UsersIcon className="w-5 h-5" />
@@ -188,6 +222,7 @@ const Dashboard = () => {
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
               onClick={() => setShowCreateModal(true)}
+              onMouseEnter={CreateWishlistModal.preload}
               className="flex items-center space-x-2 px-6 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg font-medium hover:from-blue-700 hover:to-purple-700 transition-all shadow-lg"
             >
               <PlusIcon className="w-5 h-5" />
@@ -222,6 +257,7 @@ const Dashboard = () => {
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
             onClick={() => setShowCreateModal(true)}
+            onMouseEnter={CreateWishlistModal.preload}
             className="inline-flex items-center space-x-2 px-6 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg font-medium hover:from-blue-700 hover:to-purple-700 transition-all"
           >
             <PlusIcon className="w-5 h-5" />
@@ -237,7 +273,7 @@ const Dashboard = () => {
                 initial={{ opacity: 0, y: 20 }}
                 animate={{ opacity: 1, y: 0 }}
                 exit={{ opacity: 0, y: -20 }}
-                transition={{ delay: index * 0.1 }}
+                transition={{ delay: (index % PAGE_SIZE) * 0.1 }}
                 className="bg-white rounded-xl shadow-sm border hover:shadow-lg transition-all duration-300 overflow-hidden group"
               >
                 <div className="p-6">
@@ -256,27 +292,30 @@ const Dashboard = () => {
                     
                     {/* Actions */}
                     <div className="flex items-center space-x-2 opacity-0 group-hover:opacity-100 transition-all duration-300">
-                      {wishlist.owner._id === user?.id && (
+                      {getPermissions(wishlist, user?.id).canEditWishlist && (
                         <motion.button
                           whileHover={{ scale: 1.15 }}
                           whileTap={{ scale: 0.85 }}
                           onClick={() => handleEditWishlist(wishlist)}
+                          onMouseEnter={EditWishlistModal.preload}
                           className="p-2.5 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-xl transition-all duration-200 shadow-sm hover:shadow-md border border-transparent hover:border-blue-200"
                           title="Edit wishlist"
                         >
                           <PencilIcon className="w-5 h-5 stroke-2" />
                         </motion.button>
                       )}
-                      <motion.button
-                        whileHover={{ scale: 1.15 }}
-                        whileTap={{ scale: 0.85 }}
-                        onClick={() => handleShareWishlist(wishlist)}
-                        className="p-2.5 text-gray-500 hover:text-green-600 hover:bg-green-50 rounded-xl transition-all duration-200 shadow-sm hover:shadow-md border border-transparent hover:border-green-200"
-                        title="Copy invite code to clipboard"
-                      >
-                        <ClipboardIcon className="w-5 h-5 stroke-2" />
-                      </motion.button>
-                      {wishlist.owner._id === user?.id && (
+                      {getPermissions(wishlist, user?.id).canInvite && (
+                        <motion.button
+                          whileHover={{ scale: 1.15 }}
+                          whileTap={{ scale: 0.85 }}
+                          onClick={() => handleShareWishlist(wishlist)}
+                          className="p-2.5 text-gray-500 hover:text-green-600 hover:bg-green-50 rounded-xl transition-all duration-200 shadow-sm hover:shadow-md border border-transparent hover:border-green-200"
+                          title="Copy invite link to clipboard"
+                        >
+                          <ClipboardIcon className="w-5 h-5 stroke-2" />
+                        </motion.button>
+                      )}
+                      {getPermissions(wishlist, user?.id).canDeleteWishlist && (
                         <motion.button
                           whileHover={{ scale: 1.15 }}
                           whileTap={{ scale: 0.85 }}
@@ -314,20 +353,23 @@ const Dashboard = () => {
                   {wishlist.collaborators && wishlist.collaborators.length > 0 && (
                     <div className="flex items-center space-x-2 mb-4">
                       <div className="flex -space-x-2">
-                        <img
-                          src={wishlist.owner.avatar || generateAvatarUrl(wishlist.owner.username)}
-                          alt={wishlist.owner.username}
-                          className="w-6 h-6 rounded-full border-2 border-white"
-                          title={wishlist.owner.username}
-                        />
-                        {wishlist.collaborators.slice(0, 3).map((collab) => (
+                        <UserLink user={wishlist.owner}>
                           <img
-                            key={collab.user._id}
-                            src={collab.user.avatar || generateAvatarUrl(collab.user.username)}
-                            alt={collab.user.username}
+                            src={wishlist.owner?.avatar || generateAvatarUrl(getDisplayName(wishlist.owner))}
+                            alt={getDisplayName(wishlist.owner)}
                             className="w-6 h-6 rounded-full border-2 border-white"
-                            title={collab.user.username}
+                            title={getDisplayName(wishlist.owner)}
                           />
+                        </UserLink>
+                        {wishlist.collaborators.slice(0, 3).map((collab) => (
+                          <UserLink key={collab.user._id} user={collab.user}>
+                            <img
+                              src={collab.user.avatar || generateAvatarUrl(collab.user.username)}
+                              alt={collab.user.username}
+                              className="w-6 h-6 rounded-full border-2 border-white"
+                              title={collab.user.username}
+                            />
+                          </UserLink>
                         ))}
                         {wishlist.collaborators.length > 3 && (
                           <div className="w-6 h-6 rounded-full border-2 border-white bg-gray-200 flex items-center justify-center text-xs text-gray-600">
@@ -341,6 +383,8 @@ const Dashboard = () => {
                   {/* View Button */}
                   <Link
                     to={`/wishlist/${wishlist._id}`}
+                    onMouseEnter={() => preloadRoute(`/wishlist/${wishlist._id}`)}
+                    onFocus={() => preloadRoute(`/wishlist/${wishlist._id}`)}
                     className="block w-full"
                   >
                     <motion.button
@@ -359,6 +403,12 @@ const Dashboard = () => {
         </div>
       )}
 
+      <InfiniteScrollTrigger
+        hasNextPage={hasNextPage}
+        isFetchingNextPage={isFetchingNextPage}
+        onLoadMore={fetchNextPage}
+      />
+
       {/* Share Message */}
       <AnimatePresence>
         {shareMessage && (
@@ -379,14 +429,16 @@ const Dashboard = () => {
       </AnimatePresence>
 
       {/* Create Wishlist Modal */}
-      <CreateWishlistModal
+      <LazyModal
+        component={CreateWishlistModal}
         isOpen={showCreateModal}
         onClose={() => setShowCreateModal(false)}
         onSubmit={handleCreateWishlist}
       />
 
       {/* Edit Wishlist Modal */}
-      <EditWishlistModal
+      <LazyModal
+        component={EditWishlistModal}
         isOpen={showEditModal}
         onClose={() => {
           setShowEditModal(false);
@@ -397,7 +449,8 @@ const Dashboard = () => {
       />
 
       {/* Join Wishlist Modal */}
-      <JoinWishlistModal
+      <LazyModal
+        component={JoinWishlistModal}
         isOpen={showJoinModal}
         onClose={() => setShowJoinModal(false)}
         onSuccess={handleJoinWishlist}
@@ -0,0 +1,270 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { publicAPI } from '../services/api';
+import { queryKeys, toPage, PAGE_SIZE } from '../services/queryCache';
+import useInfiniteQuery from '../hooks/useInfiniteQuery';
+import {
+  MagnifyingGlassIcon,
+  GlobeAltIcon,
+  HeartIcon,
+  UsersIcon,
+  CurrencyDollarIcon,
+  CalendarIcon,
+  EyeIcon
+} from '@heroicons/react/24/outline';
+import { formatCurrency, formatRelativeTime, generateAvatarUrl, getDisplayName } from '../utils/helpers';
+import InfiniteScrollTrigger from '../components/InfiniteScrollTrigger';
+import UserLink from '../components/UserLink';
+import { preloadRoute } from './lazy';
+
+const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'items', label: 'Most items' },
+  { value: 'value', label: 'Highest value' },
+];
+
+// Wait for a pause in typing before searching
+const SEARCH_DELAY = 300;
+
+const Explore = () => {
+  // Filters live in the URL so a search can be shared or reloaded
+  const [searchParams, setSearchParams] = useSearchParams();
+  const q = searchParams.get('q') || '';
+  const tag = searchParams.get('tag') || '';
+  const sort = SORT_OPTIONS.some((option) => option.value === searchParams.get('sort'))
+    ? searchParams.get('sort')
+    : 'newest';
+  const [search, setSearch] = useState(q);
+
+  const updateParams = useCallback(
+    (changes) => {
+      setSearchParams(
+        (current) => {
+          const next = new URLSearchParams(current);
+          Object.entries(changes).forEach(([name, value]) => {
+            if (value) {
+              next.set(name, value);
+            } else {
+              next.delete(name);
+            }
+          });
+          return next;
+        },
+        { replace: true }
+      );
+    },
+    [setSearchParams]
+  );
+
+  useEffect(() => {
+    const query = search.trim();
+    if (query === q) return;
+
+    const timer = setTimeout(() => updateParams({ q: query }), SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [search, q, updateParams]);
+
+  const {
+    data,
+    items: wishlists,
+    total,
+    isLoading,
+    isFetching,
+    error,
+    hasNextPage,
+    isFetchingNextPage,
+    fetchNextPage,
+  } = useInfiniteQuery(queryKeys.explore({ q, sort, tag }), async (params) => {
+    const response = await publicAPI.explore({
+      ...params,
+      q: q || undefined,
+      tag: tag || undefined,
+      sort,
+    });
+    // Facets come with every page; the first page's are kept
+    return { ...toPage(response.data), tags: response.data.tags || [] };
+  });
+  const tags = data?.tags || [];
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="mb-8"
+      >
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Explore</h1>
+        <p className="text-gray-600">Browse public wishlists for gift ideas and inspiration</p>
+      </motion.div>
+
+      {/* Search and sort */}
+      <div className="flex flex-col sm:flex-row gap-3 mb-4">
+        <div className="relative flex-1">
+          <MagnifyingGlassIcon className="w-5 h-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search by title, description or tag"
+            className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+        <select
+          value={sort}
+          onChange={(e) => updateParams({ sort: e.target.value === 'newest' ? '' : e.target.value })}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          {SORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Tag facets */}
+      {(tags.length > 0 || tag) && (
+        <div className="flex flex-wrap gap-2 mb-6">
+          <button
+            onClick={() => updateParams({ tag: '' })}
+            className={`px-3 py-1 rounded-full text-sm transition-colors ${
+              !tag ? 'bg-blue-600 text-white' : 'bg-white border border-gray-200 text-gray-600 hover:bg-gray-50'
+            }`}
+          >
+            All tags
+          </button>
+          {tags.map(({ tag: name, count }) => (
+            <button
+              key={name}
+              onClick={() => updateParams({ tag: name === tag ? '' : name })}
+              className={`px-3 py-1 rounded-full text-sm transition-colors ${
+                name === tag ? 'bg-blue-600 text-white' : 'bg-white border border-gray-200 text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              #{name} <span className="opacity-70">{count}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-6">
+          {error.message}
+        </div>
+      )}
+
+      {/* Results */}
+      {isLoading ? (
+        <div className="flex justify-center py-12">
+          <div className="w-8 h-8 border-2 border-blue-600 border-t-transparent rounded-full animate-spin" />
+        </div>
+      ) : wishlists.length === 0 ? (
+        <div className="text-center py-12">
+          <GlobeAltIcon className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <h3 className="text-xl font-medium text-gray-900 mb-2">No public wishlists found</h3>
+          <p className="text-gray-600">
+            {q || tag ? 'Try a different search or tag.' : 'Public wishlists will show up here.'}
+          </p>
+        </div>
+      ) : (
+        <>
+          <p className="text-sm text-gray-500 mb-4">
+            {total ?? wishlists.length} {(total ?? wishlists.length) === 1 ? 'wishlist' : 'wishlists'}
+          </p>
+          <div className={`grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 transition-opacity ${isFetching ? 'opacity-70' : ''}`}>
+            <AnimatePresence>
+              {wishlists.map((wishlist, index) => (
+                <motion.div
+                  key={wishlist._id}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  exit={{ opacity: 0, y: -20 }}
+                  transition={{ delay: (index % PAGE_SIZE) * 0.05 }}
+                  className="bg-white rounded-xl shadow-sm border hover:shadow-lg transition-all duration-300 overflow-hidden group"
+                >
+                  <div className="p-6">
+                    {/* Header */}
+                    <div className="mb-4">
+                      <h3 className="text-lg font-semibold text-gray-900 mb-1 group-hover:text-blue-600 transition-colors">
+                        {wishlist.title}
+                      </h3>
+                      {wishlist.description && (
+                        <p className="text-gray-600 text-sm line-clamp-2">
+                          {wishlist.description}
+                        </p>
+                      )}
+                    </div>
+
+                    {/* Owner */}
+                    <UserLink user={wishlist.owner} className="inline-flex items-center space-x-2 mb-4">
+                      <img
+                        src={wishlist.owner?.avatar || generateAvatarUrl(getDisplayName(wishlist.owner))}
+                        alt={getDisplayName(wishlist.owner)}
+                        className="w-6 h-6 rounded-full"
+                      />
+                      <span className="text-sm text-gray-600">by {getDisplayName(wishlist.owner)}</span>
+                    </UserLink>
+
+                    {/* Stats */}
+                    <div className="grid grid-cols-2 gap-4 mb-4">
+                      <div className="flex items-center space-x-2 text-sm text-gray-600">
+                        <HeartIcon className="w-4 h-4" />
+                        <span>{wishlist.productCount} items</span>
+                      </div>
+                      <div className="flex items-center space-x-2 text-sm text-gray-600">
+                        <CurrencyDollarIcon className="w-4 h-4" />
+                        <span>{formatCurrency(wishlist.totalValue || 0)}</span>
+                      </div>
+                      <div className="flex items-center space-x-2 text-sm text-gray-600">
+                        <UsersIcon className="w-4 h-4" />
+                        <span>{wishlist.memberCount} members</span>
+                      </div>
+                      <div className="flex items-center space-x-2 text-sm text-gray-600">
+                        <CalendarIcon className="w-4 h-4" />
+                        <span>{formatRelativeTime(wishlist.updatedAt)}</span>
+                      </div>
+                    </div>
+
+                    {/* Tags */}
+                    {wishlist.tags?.length > 0 && (
+                      <div className="flex flex-wrap gap-1 mb-4">
+                        {wishlist.tags.map((name) => (
+                          <button
+                            key={name}
+                            onClick={() => updateParams({ tag: name })}
+                            className="text-xs bg-blue-100 text-blue-600 px-2 py-1 rounded-full hover:bg-blue-200 transition-colors"
+                          >
+                            #{name}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+
+                    {/* View Button */}
+                    <Link
+                      to={`/public/wishlist/${wishlist._id}`}
+                      onMouseEnter={() => preloadRoute(`/public/wishlist/${wishlist._id}`)}
+                      onFocus={() => preloadRoute(`/public/wishlist/${wishlist._id}`)}
+                      className="w-full flex items-center justify-center space-x-2 py-2 px-4 bg-gray-50 hover:bg-blue-50 text-gray-700 hover:text-blue-600 rounded-lg transition-all"
+                    >
+                      <EyeIcon className="w-4 h-4" />
+                      <span>View Wishlist</span>
+                    </Link>
+                  </div>
+                </motion.div>
+              ))}
+            </AnimatePresence>
+          </div>
+        </>
+      )}
+
+      <InfiniteScrollTrigger
+        hasNextPage={hasNextPage}
+        isFetchingNextPage={isFetchingNextPage}
+        onLoadMore={fetchNextPage}
+      />
+    </div>
+  );
+};
+
+export default Explore;
@@ -0,0 +1,229 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useAuth } from '../context/AuthContext';
+import { wishlistsAPI } from '../services/api';
+import socketService from '../services/socket';
+import { addWishlistToCache } from '../services/queryCache';
+import {
+  HeartIcon,
+  UsersIcon,
+  ShoppingBagIcon,
+  UserPlusIcon,
+  ArrowRightIcon
+} from '@heroicons/react/24/outline';
+import { formatDate, generateAvatarUrl, INVITE_ERROR_TITLES, getDisplayName } from '../utils/helpers';
+import { ROLE_DETAILS } from '../utils/permissions';
+import LoadingSpinner from '../components/LoadingSpinner';
+import UserLink from '../components/UserLink';
+
+// Landing page for shared invite links (`/join/:code`). Shows what the
+// wishlist is before joining; signed-out visitors go through login or
+// registration and come back with `?accept=1`, which joins right away.
+const JoinWishlist = () => {
+  const { code } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { user, isAuthenticated } = useAuth();
+  const [preview, setPreview] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isJoining, setIsJoining] = useState(false);
+  const [error, setError] = useState(null);
+  const hasAutoJoined = useRef(false);
+
+  const shouldAccept = searchParams.get('accept') === '1';
+  const returnTo = encodeURIComponent(`/join/${code}?accept=1`);
+
+  useEffect(() => {
+    let isCurrent = true;
+
+    const fetchPreview = async () => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        const response = await wishlistsAPI.getInvitePreview(code);
+        if (isCurrent) {
+          setPreview(response.data);
+        }
+      } catch (error) {
+        if (isCurrent) {
+          setError(error);
+        }
+      } finally {
+        if (isCurrent) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    fetchPreview();
+    return () => {
+      isCurrent = false;
+    };
+  }, [code, isAuthenticated]);
+
+  const handleJoin = async () => {
+    setIsJoining(true);
+    setError(null);
+
+    try {
+      const response = await wishlistsAPI.joinByInvite(code);
+      const wishlist = response.data.wishlist;
+      addWishlistToCache(wishlist);
+
+      // Let members who have the wishlist open know we're here
+      const member = wishlist.collaborators?.find((c) => c.user._id === user?.id);
+      if (member) {
+        socketService.emitMemberJoined({ wishlistId: wishlist._id, member });
+      }
+
+      navigate(`/wishlist/${wishlist._id}`, { replace: true });
+    } catch (error) {
+      setError(error);
+      setIsJoining(false);
+    }
+  };
+
+  // Back from signing in: finish what the visitor started
+  useEffect(() => {
+    if (!shouldAccept || !isAuthenticated || !preview || hasAutoJoined.current) return;
+    hasAutoJoined.current = true;
+
+    if (preview.isMember) {
+      navigate(`/wishlist/${preview.wishlist._id}`, { replace: true });
+    } else {
+      handleJoin();
+    }
+  });
+
+  if (isLoading) {
+    return <LoadingSpinner text="Loading invite..." />;
+  }
+
+  if (!preview) {
+    return (
+      <div className="max-w-md mx-auto px-4 py-16 text-center">
+        <h2 className="text-2xl font-bold text-gray-900 mb-4">
+          {INVITE_ERROR_TITLES[error?.code] || 'Invite Not Found'}
+        </h2>
+        <p className="text-gray-600 mb-6">
+          {error?.message || 'This invite link is invalid or has been replaced by a new one.'}
+          {INVITE_ERROR_TITLES[error?.code] && ' Ask a member of the wishlist for a new invite link.'}
+        </p>
+        <Link
+          to={isAuthenticated ? '/dashboard' : '/login'}
+          className="inline-flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          <span>{isAuthenticated ? 'Back to Dashboard' : 'Sign in'}</span>
+        </Link>
+      </div>
+    );
+  }
+
+  const { wishlist, invite, isMember } = preview;
+  const role = ROLE_DETAILS[invite?.role];
+
+  return (
+    <div className="max-w-md mx-auto px-4 py-16">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="bg-white rounded-xl shadow-lg border p-8 text-center"
+      >
+        <div className="mx-auto w-16 h-16 bg-gradient-to-r from-blue-600 to-purple-600 rounded-full flex items-center justify-center mb-4">
+          <HeartIcon className="w-8 h-8 text-white" />
+        </div>
+
+        <p className="text-sm text-gray-500 mb-1">You've been invited to</p>
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">{wishlist.title}</h1>
+        {wishlist.description && (
+          <p className="text-gray-600 mb-4">{wishlist.description}</p>
+        )}
+
+        <div className="flex items-center justify-center space-x-2 mb-4">
+          <UserLink user={wishlist.owner} className="flex items-center space-x-2">
+            <img
+              src={wishlist.owner?.avatar || generateAvatarUrl(getDisplayName(wishlist.owner))}
+              alt={getDisplayName(wishlist.owner)}
+              className="w-6 h-6 rounded-full"
+            />
+            <span className="text-sm text-gray-600">
+              Created by <span className="font-medium">{getDisplayName(wishlist.owner)}</span>
+            </span>
+          </UserLink>
+        </div>
+
+        {role && !isMember && (
+          <p className="text-sm text-gray-600 mb-4" title={role.description}>
+            You'll join as <span className="font-medium text-gray-900">{role.label}</span>
+            {invite.expiresAt && <> · invite expires {formatDate(invite.expiresAt)}</>}
+          </p>
+        )}
+
+        <div className="flex items-center justify-center space-x-6 text-sm text-gray-500 mb-6">
+          <div className="flex items-center space-x-1">
+            <UsersIcon className="w-4 h-4" />
+            <span>{wishlist.memberCount} {wishlist.memberCount === 1 ? 'member' : 'members'}</span>
+          </div>
+          <div className="flex items-center space-x-1">
+            <ShoppingBagIcon className="w-4 h-4" />
+            <span>{wishlist.productCount} {wishlist.productCount === 1 ? 'item' : 'items'}</span>
+          </div>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-4 text-sm">
+            {INVITE_ERROR_TITLES[error.code] && (
+              <p className="font-medium">{INVITE_ERROR_TITLES[error.code]}</p>
+            )}
+            {error.message}
+          </div>
+        )}
+
+        {!isAuthenticated ? (
+          <div className="space-y-3">
+            <Link
+              to={`/login?redirect=${returnTo}`}
+              className="flex items-center justify-center space-x-2 w-full px-4 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg hover:from-blue-700 hover:to-purple-700 transition-colors"
+            >
+              <span>Sign in to join</span>
+            </Link>
+            <p className="text-sm text-gray-600">
+              New here?{' '}
+              <Link
+                to={`/register?redirect=${returnTo}`}
+                className="font-medium text-blue-600 hover:text-blue-500 transition-colors"
+              >
+                Create an account
+              </Link>
+            </p>
+          </div>
+        ) : isMember ? (
+          <div className="space-y-3">
+            <p className="text-sm text-gray-600">You're already a member of this wishlist.</p>
+            <Link
+              to={`/wishlist/${wishlist._id}`}
+              className="flex items-center justify-center space-x-2 w-full px-4 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              <span>Open wishlist</span>
+              <ArrowRightIcon className="w-4 h-4" />
+            </Link>
+          </div>
+        ) : (
+          <motion.button
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            onClick={handleJoin}
+            disabled={isJoining}
+            className="flex items-center justify-center space-x-2 w-full px-4 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-lg hover:from-blue-700 hover:to-purple-700 transition-colors disabled:opacity-50"
+          >
+            <UserPlusIcon className="w-5 h-5" />
+            <span>{isJoining ? 'Joining...' : 'Join wishlist'}</span>
+          </motion.button>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default JoinWishlist;
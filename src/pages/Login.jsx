@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useAuth } from '../context/AuthContext';
 import { 
@@ -9,6 +9,7 @@ import {
   EnvelopeIcon,
   LockClosedIcon
 } from '@heroicons/react/24/outline';
+import { getSafeRedirect } from '../utils/helpers';
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -21,6 +22,9 @@ const Login = () => {
 
   const { login } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+  // Where to go once signed in; `?redirect=` is carried over to the other auth page
+  const redirectTo = getSafeRedirect(new URLSearchParams(location.search).get('redirect'));
 
   const handleChange = (e) => {
     setFormData({
@@ -38,7 +42,7 @@ const Login = () => {
     const result = await login(formData);
     
     if (result.success) {
-      navigate('/dashboard');
+      navigate(redirectTo, { replace: true });
     } else {
       setError(result.error);
     }
@@ -169,7 +173,7 @@ const Login = () => {
             <p className="text-sm text-gray-600">
               Don't have an account?{' '}
               <Link
-                to="/register"
+                to={`/register${location.search}`}
                 className="font-medium text-blue-600 hover:text-blue-500 transition-colors"
               >
                 Sign up here
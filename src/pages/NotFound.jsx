@@ -0,0 +1,51 @@
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useAuth } from '../context/AuthContext';
+import { MapIcon, HomeIcon, GlobeAltIcon } from '@heroicons/react/24/outline';
+
+// Catch-all for URLs that don't match any route
+const NotFound = () => {
+  const { isAuthenticated } = useAuth();
+  const { pathname } = useLocation();
+
+  return (
+    <div className="max-w-md mx-auto px-4 py-16 text-center">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="bg-white rounded-xl shadow-sm border p-8"
+      >
+        <div className="w-14 h-14 bg-blue-100 rounded-full flex items-center justify-center mx-auto mb-4">
+          <MapIcon className="w-7 h-7 text-blue-600" />
+        </div>
+        <p className="text-sm font-semibold text-blue-600 mb-1">404</p>
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">Page not found</h1>
+        <p className="text-gray-600 mb-6 break-words">
+          There's nothing at <span className="font-mono text-sm">{pathname}</span>. The link may be
+          broken or the page may have moved.
+        </p>
+        <div className="flex flex-col sm:flex-row justify-center gap-3">
+          <Link
+            to={isAuthenticated ? '/dashboard' : '/login'}
+            className="inline-flex items-center justify-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <HomeIcon className="w-4 h-4" />
+            <span>{isAuthenticated ? 'Back to Dashboard' : 'Sign in'}</span>
+          </Link>
+          {isAuthenticated && (
+            <Link
+              to="/explore"
+              className="inline-flex items-center justify-center space-x-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              <GlobeAltIcon className="w-4 h-4" />
+              <span>Explore wishlists</span>
+            </Link>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default NotFound;
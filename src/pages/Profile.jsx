@@ -1,14 +1,20 @@
 import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useAuth } from '../context/AuthContext';
-import { UserIcon, EnvelopeIcon } from '@heroicons/react/24/outline';
-import { generateAvatarUrl } from '../utils/helpers';
+import queryCache from '../services/queryCache';
+import { UserIcon, EnvelopeIcon, ArrowTopRightOnSquareIcon } from '@heroicons/react/24/outline';
+import { generateAvatarUrl, getProfilePath } from '../utils/helpers';
 import AvatarUpload from '../components/AvatarUpload';
 
+// Shown on the public profile page
+const BIO_MAX_LENGTH = 160;
+
 const Profile = () => {
   const { user, updateProfile, updateUser } = useAuth();
   const [formData, setFormData] = useState({
     username: user?.username || '',
+    bio: user?.bio || '',
   });
   const [isLoading, setIsLoading] = useState(false);
   const [message, setMessage] = useState('');
@@ -32,6 +38,8 @@ const Profile = () => {
     const result = await updateProfile(formData);
 
     if (result.success) {
+      // Public profiles show the username and bio, so drop cached copies
+      queryCache.invalidatePrefix('user:');
       setMessage('Profile updated successfully!');
     } else {
       setError(result.error);
@@ -65,6 +73,15 @@ const Profile = () => {
           </div>
           <h1 className="text-2xl font-bold gradient-text">Profile Settings</h1>
           <p className="text-gray-600">Manage your account information</p>
+          {user?.username && (
+            <Link
+              to={getProfilePath(user.username)}
+              className="inline-flex items-center space-x-1 mt-2 text-sm text-blue-600 hover:text-blue-500 transition-colors"
+            >
+              <span>View public profile</span>
+              <ArrowTopRightOnSquareIcon className="w-4 h-4" />
+            </Link>
+          )}
         </div>
 
         {/* Form */}
@@ -91,6 +108,26 @@ const Profile = () => {
             </div>
           </div>
 
+          {/* Bio */}
+          <div>
+            <label htmlFor="bio" className="block text-sm font-medium text-gray-700 mb-1">
+              Bio
+            </label>
+            <textarea
+              id="bio"
+              name="bio"
+              rows={3}
+              maxLength={BIO_MAX_LENGTH}
+              value={formData.bio}
+              onChange={handleChange}
+              className="block w-full px-3 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
+              placeholder="Tell others a little about yourself"
+            />
+            <p className="text-xs text-gray-500 mt-1 text-right">
+              {formData.bio.length}/{BIO_MAX_LENGTH}
+            </p>
+          </div>
+
           {/* Email (read-only) */}
           <div>
             <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
@@ -0,0 +1,185 @@
+import React from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useAuth } from '../context/AuthContext';
+import { publicAPI } from '../services/api';
+import { queryKeys, toPage } from '../services/queryCache';
+import useQuery from '../hooks/useQuery';
+import useInfiniteQuery from '../hooks/useInfiniteQuery';
+import {
+  HeartIcon,
+  UsersIcon,
+  CurrencyDollarIcon,
+  GlobeAltIcon,
+  ArrowRightIcon
+} from '@heroicons/react/24/outline';
+import { formatCurrency, formatRelativeTime, generateAvatarUrl, getDisplayName } from '../utils/helpers';
+import LoadingSpinner from '../components/LoadingSpinner';
+import ProductCard from '../components/ProductCard';
+import InfiniteScrollTrigger from '../components/InfiniteScrollTrigger';
+import UserLink from '../components/UserLink';
+
+// Read-only view of a public wishlist, reachable without an account
+const PublicWishlist = () => {
+  const { id } = useParams();
+  const { isAuthenticated } = useAuth();
+
+  const {
+    data: wishlist,
+    isLoading: isWishlistLoading,
+    error: wishlistError,
+  } = useQuery(queryKeys.publicWishlist(id), async () => {
+    const response = await publicAPI.getWishlist(id);
+    return response.data;
+  });
+  const {
+    items: products,
+    isLoading: areProductsLoading,
+    hasNextPage,
+    isFetchingNextPage,
+    fetchNextPage,
+  } = useInfiniteQuery(
+    queryKeys.publicProducts(id),
+    async (params) => {
+      const response = await publicAPI.getProducts(id, params);
+      return toPage(response.data);
+    },
+    { enabled: Boolean(wishlist) }
+  );
+
+  if (isWishlistLoading) {
+    return <LoadingSpinner text="Loading wishlist..." />;
+  }
+
+  if (!wishlist) {
+    return (
+      <div className="max-w-md mx-auto px-4 py-16 text-center">
+        <h2 className="text-2xl font-bold text-gray-900 mb-4">Wishlist Not Found</h2>
+        <p className="text-gray-600 mb-6">
+          {wishlistError?.status === 404 || !wishlistError
+            ? 'This wishlist does not exist or is not public.'
+            : wishlistError.message}
+        </p>
+        <Link
+          to={isAuthenticated ? '/dashboard' : '/register'}
+          className="inline-flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          <span>{isAuthenticated ? 'Back to Dashboard' : 'Create your own wishlist'}</span>
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Top bar for visitors without an account (the Navbar is hidden) */}
+      {!isAuthenticated && (
+        <div className="flex items-center justify-between mb-8">
+          <Link to="/register" className="flex items-center space-x-2">
+            <div className="w-8 h-8 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg flex items-center justify-center">
+              <HeartIcon className="w-5 h-5 text-white" />
+            </div>
+            <span className="text-xl font-bold gradient-text">WishlistApp</span>
+          </Link>
+          <Link
+            to="/login"
+            className="text-sm font-medium text-blue-600 hover:text-blue-500 transition-colors"
+          >
+            Sign in
+          </Link>
+        </div>
+      )}
+
+      {/* Header */}
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="bg-white rounded-xl shadow-sm border p-6 mb-8"
+      >
+        <div className="flex items-center space-x-2 text-sm text-green-700 mb-2">
+          <GlobeAltIcon className="w-4 h-4" />
+          <span>Public wishlist</span>
+        </div>
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">{wishlist.title}</h1>
+        {wishlist.description && (
+          <p className="text-gray-600 mb-4">{wishlist.description}</p>
+        )}
+
+        <div className="flex flex-wrap items-center gap-x-6 gap-y-2 text-sm text-gray-600">
+          <UserLink user={wishlist.owner} className="flex items-center space-x-2">
+            <img
+              src={wishlist.owner?.avatar || generateAvatarUrl(getDisplayName(wishlist.owner))}
+              alt={getDisplayName(wishlist.owner)}
+              className="w-6 h-6 rounded-full"
+            />
+            <span>by <span className="font-medium text-gray-900">{getDisplayName(wishlist.owner)}</span></span>
+          </UserLink>
+          <div className="flex items-center space-x-2">
+            <HeartIcon className="w-5 h-5 text-blue-600" />
+            <span>{wishlist.productCount} items</span>
+          </div>
+          <div className="flex items-center space-x-2">
+            <CurrencyDollarIcon className="w-5 h-5 text-green-600" />
+            <span>{formatCurrency(wishlist.totalValue || 0)}</span>
+          </div>
+          <div className="flex items-center space-x-2">
+            <UsersIcon className="w-5 h-5 text-purple-600" />
+            <span>{wishlist.memberCount} members</span>
+          </div>
+          <span>Updated {formatRelativeTime(wishlist.updatedAt)}</span>
+        </div>
+      </motion.div>
+
+      {/* Call to action */}
+      {!isAuthenticated && (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.1 }}
+          className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 bg-gradient-to-r from-blue-600 to-purple-600 rounded-xl p-6 mb-8 text-white"
+        >
+          <div>
+            <h2 className="text-lg font-semibold">Make wishlists with the people you shop with</h2>
+            <p className="text-sm text-blue-100">
+              Sign up free to build your own lists, react to ideas and comment together in real time.
+            </p>
+          </div>
+          <Link
+            to="/register"
+            className="inline-flex items-center justify-center space-x-2 px-5 py-2.5 bg-white text-blue-700 font-medium rounded-lg hover:bg-blue-50 transition-colors whitespace-nowrap"
+          >
+            <span>Get started</span>
+            <ArrowRightIcon className="w-4 h-4" />
+          </Link>
+        </motion.div>
+      )}
+
+      {/* Products */}
+      {areProductsLoading ? (
+        <div className="flex justify-center py-12">
+          <div className="w-8 h-8 border-2 border-blue-600 border-t-transparent rounded-full animate-spin" />
+        </div>
+      ) : products.length === 0 ? (
+        <div className="text-center py-12 bg-white rounded-xl shadow-sm border">
+          <HeartIcon className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <h3 className="text-xl font-medium text-gray-900 mb-2">No products yet</h3>
+          <p className="text-gray-600">Check back later for ideas.</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {products.map((product) => (
+            <ProductCard key={product._id} product={product} readOnly />
+          ))}
+        </div>
+      )}
+
+      <InfiniteScrollTrigger
+        hasNextPage={hasNextPage}
+        isFetchingNextPage={isFetchingNextPage}
+        onLoadMore={fetchNextPage}
+      />
+    </div>
+  );
+};
+
+export default PublicWishlist;
@@ -1,7 +1,8 @@
 import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useAuth } from '../context/AuthContext';
+import FieldError from '../components/FieldError';
 import { 
   EyeIcon, 
   EyeSlashIcon, 
@@ -10,6 +11,7 @@ import {
   LockClosedIcon,
   UserIcon
 } from '@heroicons/react/24/outline';
+import { getSafeRedirect } from '../utils/helpers';
 
 const Register = () => {
   const [formData, setFormData] = useState({
@@ -21,33 +23,44 @@ const Register = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
 
   const { register } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+  // Where to go once signed in; `?redirect=` is carried over to the other auth page
+  const redirectTo = getSafeRedirect(new URLSearchParams(location.search).get('redirect'));
 
   const handleChange = (e) => {
     setFormData({
       ...formData,
       [e.target.name]: e.target.value,
     });
+    setFieldErrors({ ...fieldErrors, [e.target.name]: '' });
     setError('');
   };
 
+  const fieldBorder = (field) =>
+    fieldErrors[field]
+      ? 'border-red-300 focus:ring-red-500'
+      : 'border-gray-300 focus:ring-blue-500';
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsLoading(true);
     setError('');
+    setFieldErrors({});
 
     // Validation
     if (formData.password !== formData.confirmPassword) {
-      setError('Passwords do not match');
+      setFieldErrors({ confirmPassword: 'Passwords do not match' });
       setIsLoading(false);
       return;
     }
 
     if (formData.password.length < 6) {
-      setError('Password must be at least 6 characters long');
+      setFieldErrors({ password: 'Password must be at least 6 characters long' });
       setIsLoading(false);
       return;
     }
@@ -59,9 +72,16 @@ const Register = () => {
     });
     
     if (result.success) {
-      navigate('/dashboard');
+      navigate(redirectTo, { replace: true });
     } else {
-      setError(result.error);
+      setFieldErrors(result.fieldErrors);
+      // Errors about fields the form doesn't show go in the banner
+      const errorFields = Object.keys(result.fieldErrors);
+      const allShown = errorFields.length > 0 &&
+        errorFields.every((field) => ['username', 'email', 'password'].includes(field));
+      if (!allShown) {
+        setError(result.error);
+      }
     }
     
     setIsLoading(false);
@@ -115,10 +135,11 @@ const Register = () => {
                   required
                   value={formData.username}
                   onChange={handleChange}
-                  className="block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                  className={`block w-full pl-10 pr-3 py-3 border ${fieldBorder('username')} rounded-lg focus:outline-none focus:ring-2 focus:border-transparent transition-all`}
                   placeholder="Choose a username"
                 />
               </div>
+              <FieldError message={fieldErrors.username} />
             </div>
 
             {/* Email */}
@@ -138,10 +159,11 @@ const Register = () => {
                   required
                   value={formData.email}
                   onChange={handleChange}
-                  className="block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                  className={`block w-full pl-10 pr-3 py-3 border ${fieldBorder('email')} rounded-lg focus:outline-none focus:ring-2 focus:border-transparent transition-all`}
                   placeholder="Enter your email"
                 />
               </div>
+              <FieldError message={fieldErrors.email} />
             </div>
 
             {/* Password */}
@@ -161,7 +183,7 @@ const Register = () => {
                   required
                   value={formData.password}
                   onChange={handleChange}
-                  className="block w-full pl-10 pr-10 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                  className={`block w-full pl-10 pr-10 py-3 border ${fieldBorder('password')} rounded-lg focus:outline-none focus:ring-2 focus:border-transparent transition-all`}
                   placeholder="Create a password"
                 />
                 <button
@@ -176,6 +198,7 @@ const Register = () => {
                   )}
                 </button>
               </div>
+              <FieldError message={fieldErrors.password} />
             </div>
 
             {/* Confirm Password */}
@@ -195,7 +218,7 @@ const Register = () => {
                   required
                   value={formData.confirmPassword}
                   onChange={handleChange}
-                  className="block w-full pl-10 pr-10 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                  className={`block w-full pl-10 pr-10 py-3 border ${fieldBorder('confirmPassword')} rounded-lg focus:outline-none focus:ring-2 focus:border-transparent transition-all`}
                   placeholder="Confirm your password"
                 />
                 <button
@@ -210,6 +233,7 @@ const Register = () => {
                   )}
                 </button>
               </div>
+              <FieldError message={fieldErrors.confirmPassword} />
             </div>
           </div>
 
@@ -247,7 +271,7 @@ const Register = () => {
             <p className="text-sm text-gray-600">
               Already have an account?{' '}
               <Link
-                to="/login"
+                to={`/login${location.search}`}
                 className="font-medium text-blue-600 hover:text-blue-500 transition-colors"
               >
                 Sign in here
@@ -0,0 +1,162 @@
+import React from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useAuth } from '../context/AuthContext';
+import { usersAPI } from '../services/api';
+import { queryKeys } from '../services/queryCache';
+import useQuery from '../hooks/useQuery';
+import {
+  HeartIcon,
+  CurrencyDollarIcon,
+  UsersIcon,
+  GlobeAltIcon,
+  CalendarIcon,
+  PencilIcon
+} from '@heroicons/react/24/outline';
+import { formatCurrency, formatDate, formatRelativeTime, generateAvatarUrl } from '../utils/helpers';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+// Compact card for the wishlist lists on a profile
+const WishlistSummary = ({ wishlist, to }) => (
+  <Link
+    to={to}
+    className="block bg-white rounded-xl shadow-sm border p-5 hover:shadow-lg transition-all duration-300 group"
+  >
+    <h3 className="font-semibold text-gray-900 mb-1 group-hover:text-blue-600 transition-colors">
+      {wishlist.title}
+    </h3>
+    {wishlist.description && (
+      <p className="text-sm text-gray-600 line-clamp-2 mb-3">{wishlist.description}</p>
+    )}
+    <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-gray-500">
+      <span className="flex items-center space-x-1">
+        <HeartIcon className="w-4 h-4" />
+        <span>{wishlist.productCount} items</span>
+      </span>
+      <span className="flex items-center space-x-1">
+        <CurrencyDollarIcon className="w-4 h-4" />
+        <span>{formatCurrency(wishlist.totalValue || 0)}</span>
+      </span>
+      <span className="flex items-center space-x-1">
+        <UsersIcon className="w-4 h-4" />
+        <span>{wishlist.memberCount} members</span>
+      </span>
+      <span>Updated {formatRelativeTime(wishlist.updatedAt)}</span>
+    </div>
+  </Link>
+);
+
+// Public profile at /u/:username: avatar, bio, public wishlists and, for
+// signed-in visitors, the wishlists they share with this user
+const UserProfile = () => {
+  const { username } = useParams();
+  const { user: currentUser, isAuthenticated } = useAuth();
+
+  const { data, isLoading, error } = useQuery(queryKeys.userProfile(username), async () => {
+    const response = await usersAPI.getProfile(username);
+    return response.data;
+  });
+
+  if (isLoading) {
+    return <LoadingSpinner text="Loading profile..." />;
+  }
+
+  if (!data) {
+    return (
+      <div className="max-w-md mx-auto px-4 py-16 text-center">
+        <h2 className="text-2xl font-bold text-gray-900 mb-4">User Not Found</h2>
+        <p className="text-gray-600 mb-6">
+          {error?.status === 404 || !error ? `There is no user called "${username}".` : error.message}
+        </p>
+        <Link
+          to={isAuthenticated ? '/dashboard' : '/login'}
+          className="inline-flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          <span>{isAuthenticated ? 'Back to Dashboard' : 'Sign in'}</span>
+        </Link>
+      </div>
+    );
+  }
+
+  const { user, publicWishlists, sharedWishlists } = data;
+  const isSelf = user._id === currentUser?.id;
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="bg-white rounded-xl shadow-sm border p-8 mb-8"
+      >
+        <div className="flex flex-col sm:flex-row items-center sm:items-start gap-6">
+          <img
+            src={user.avatar || generateAvatarUrl(user.username, 96)}
+            alt={user.username}
+            className="w-24 h-24 rounded-full"
+          />
+          <div className="flex-1 text-center sm:text-left">
+            <div className="flex flex-col sm:flex-row sm:items-center gap-2 mb-2">
+              <h1 className="text-2xl font-bold text-gray-900">{user.username}</h1>
+              {isSelf && (
+                <Link
+                  to="/profile"
+                  className="inline-flex items-center justify-center space-x-1 text-sm text-blue-600 hover:text-blue-500 transition-colors"
+                >
+                  <PencilIcon className="w-4 h-4" />
+                  <span>Edit profile</span>
+                </Link>
+              )}
+            </div>
+            {user.bio ? (
+              <p className="text-gray-600 mb-3">{user.bio}</p>
+            ) : (
+              <p className="text-gray-400 italic mb-3">No bio yet</p>
+            )}
+            <p className="flex items-center justify-center sm:justify-start space-x-1 text-sm text-gray-500">
+              <CalendarIcon className="w-4 h-4" />
+              <span>Joined {formatDate(user.createdAt)}</span>
+            </p>
+          </div>
+        </div>
+      </motion.div>
+
+      {/* Shared wishlists */}
+      {sharedWishlists.length > 0 && (
+        <section className="mb-8">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">
+            Wishlists you share ({sharedWishlists.length})
+          </h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {sharedWishlists.map((wishlist) => (
+              <WishlistSummary key={wishlist._id} wishlist={wishlist} to={`/wishlist/${wishlist._id}`} />
+            ))}
+          </div>
+        </section>
+      )}
+
+      {/* Public wishlists */}
+      <section>
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">
+          Public wishlists ({publicWishlists.length})
+        </h2>
+        {publicWishlists.length === 0 ? (
+          <div className="text-center py-12 bg-white rounded-xl shadow-sm border">
+            <GlobeAltIcon className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+            <p className="text-gray-600">
+              {isSelf ? "You haven't made any wishlists public yet." : `${user.username} has no public wishlists.`}
+            </p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {publicWishlists.map((wishlist) => (
+              <WishlistSummary key={wishlist._id} wishlist={wishlist} to={`/public/wishlist/${wishlist._id}`} />
+            ))}
+          </div>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default UserProfile;
@@ -0,0 +1,320 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useAuth } from '../context/AuthContext';
+import { wishlistsAPI } from '../services/api';
+import socketService from '../services/socket';
+import { SOCKET_EVENTS } from '../services/socketEvents';
+import { queryKeys, toPage, invalidateActivity } from '../services/queryCache';
+import useQuery from '../hooks/useQuery';
+import useInfiniteQuery from '../hooks/useInfiniteQuery';
+import useWishlistEvents from '../hooks/useWishlistEvents';
+import {
+  ArrowLeftIcon,
+  PlusIcon,
+  PencilIcon,
+  TrashIcon,
+  ChatBubbleLeftIcon,
+  FaceSmileIcon,
+  UserPlusIcon,
+  UserMinusIcon,
+  ShieldCheckIcon,
+  StarIcon,
+  ClockIcon
+} from '@heroicons/react/24/outline';
+import { formatDayLabel, formatTime, generateAvatarUrl } from '../utils/helpers';
+import LoadingSpinner from '../components/LoadingSpinner';
+import InfiniteScrollTrigger from '../components/InfiniteScrollTrigger';
+import UserLink from '../components/UserLink';
+
+const EVENT_FILTERS = [
+  { value: '', label: 'All activity' },
+  { value: 'product', label: 'Products' },
+  { value: 'comment', label: 'Comments' },
+  { value: 'reaction', label: 'Reactions' },
+  { value: 'member', label: 'Members' },
+];
+
+// Events that add to the history; any of them means the feed is out of date.
+// Reaction removals travel as 'reaction-added' with action 'remove', removed
+// members as 'member-left', and role changes and ownership transfers as
+// 'wishlist-updated' carrying the new member list.
+const ACTIVITY_EVENTS = [
+  SOCKET_EVENTS.PRODUCT_ADDED,
+  SOCKET_EVENTS.PRODUCT_UPDATED,
+  SOCKET_EVENTS.PRODUCT_DELETED,
+  SOCKET_EVENTS.COMMENT_ADDED,
+  SOCKET_EVENTS.REACTION_ADDED,
+  SOCKET_EVENTS.MEMBER_JOINED,
+  SOCKET_EVENTS.MEMBER_LEFT,
+  SOCKET_EVENTS.WISHLIST_UPDATED,
+];
+
+const activityIcons = {
+  'product-added': { icon: PlusIcon, className: 'bg-blue-100 text-blue-600' },
+  'product-updated': { icon: PencilIcon, className: 'bg-amber-100 text-amber-600' },
+  'product-deleted': { icon: TrashIcon, className: 'bg-red-100 text-red-600' },
+  'comment-added': { icon: ChatBubbleLeftIcon, className: 'bg-green-100 text-green-600' },
+  'reaction-added': { icon: FaceSmileIcon, className: 'bg-pink-100 text-pink-600' },
+  'reaction-removed': { icon: FaceSmileIcon, className: 'bg-gray-100 text-gray-500' },
+  'member-joined': { icon: UserPlusIcon, className: 'bg-purple-100 text-purple-600' },
+  'member-left': { icon: UserMinusIcon, className: 'bg-gray-100 text-gray-500' },
+  'member-removed': { icon: UserMinusIcon, className: 'bg-red-100 text-red-600' },
+  'member-role-changed': { icon: ShieldCheckIcon, className: 'bg-indigo-100 text-indigo-600' },
+  'member-made-owner': { icon: StarIcon, className: 'bg-amber-100 text-amber-600' },
+};
+
+// What happened, without the actor's name
+const describeActivity = (entry) => {
+  const name = entry.product ? `"${entry.product.name}"` : 'a product';
+  const changes = entry.data?.changes || {};
+  const member = entry.data?.member?.username || 'a member';
+
+  switch (entry.type) {
+    case 'product-added':
+      return `added ${name}`;
+    case 'product-updated':
+      if (changes.status) {
+        return `marked ${name} as ${changes.status}`;
+      }
+      return `updated ${Object.keys(changes).join(', ') || 'details'} of ${name}`;
+    case 'product-deleted':
+      return `removed ${name}`;
+    case 'comment-added':
+      return `commented on ${name}`;
+    case 'reaction-added':
+      return `reacted ${entry.data?.emoji || ''} to ${name}`;
+    case 'reaction-removed':
+      return `removed their reaction to ${name}`;
+    case 'member-joined':
+      return 'joined the wishlist';
+    case 'member-left':
+      return 'left the wishlist';
+    case 'member-removed':
+      return `removed ${member} from the wishlist`;
+    case 'member-role-changed':
+      return `made ${member} ${entry.data?.role === 'admin' ? 'an' : 'a'} ${entry.data?.role}`;
+    case 'member-made-owner':
+      return `handed ownership over to ${member}`;
+    default:
+      return 'made a change';
+  }
+};
+
+// Split a newest-first list into consecutive day groups
+const groupByDay = (entries) =>
+  entries.reduce((groups, entry) => {
+    const label = formatDayLabel(entry.createdAt);
+    const last = groups[groups.length - 1];
+    if (last?.label === label) {
+      last.entries.push(entry);
+    } else {
+      groups.push({ label, entries: [entry] });
+    }
+    return groups;
+  }, []);
+
+const WishlistActivity = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [filters, setFilters] = useState({ type: '', actor: '' });
+
+  const {
+    data: wishlist,
+    isLoading: isWishlistLoading,
+    error: wishlistError,
+  } = useQuery(queryKeys.wishlist(id), async () => {
+    const response = await wishlistsAPI.getById(id);
+    return response.data;
+  });
+  const {
+    items: entries,
+    isLoading: isActivityLoading,
+    isFetching,
+    error: activityError,
+    hasNextPage,
+    isFetchingNextPage,
+    fetchNextPage,
+  } = useInfiniteQuery(queryKeys.activity(id, filters), async (params) => {
+    const response = await wishlistsAPI.getActivity(id, { ...params, ...filters });
+    return toPage(response.data);
+  });
+
+  useWishlistEvents([id], user?.id, {
+    onDeleted: (wishlistId) => wishlistId === id && navigate('/dashboard', { replace: true }),
+    onRemoved: (wishlistId) => wishlistId === id && navigate('/dashboard', { replace: true }),
+  });
+
+  useEffect(() => {
+    // Refetch the feed whenever something happens in the room
+    const handleActivity = (data) => invalidateActivity(data.wishlistId);
+    ACTIVITY_EVENTS.forEach((event) => socketService.on(event, handleActivity));
+
+    return () => {
+      ACTIVITY_EVENTS.forEach((event) => socketService.off(event, handleActivity));
+    };
+  }, []);
+
+  const error = (wishlistError || activityError)?.message || '';
+
+  if (isWishlistLoading) {
+    return <LoadingSpinner text="Loading activity..." />;
+  }
+
+  if (!wishlist) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="text-center">
+          <h2 className="text-2xl font-bold text-gray-900 mb-4">Wishlist Not Found</h2>
+          <p className="text-gray-600 mb-6">{error || 'The wishlist you are looking for does not exist.'}</p>
+          <button
+            onClick={() => navigate('/dashboard')}
+            className="inline-flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <ArrowLeftIcon className="w-4 h-4" />
+            <span>Back to Dashboard</span>
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const members = [wishlist.owner, ...(wishlist.collaborators || []).map((c) => c.user)].filter(Boolean);
+  const groups = groupByDay(entries);
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="mb-8"
+      >
+        <Link
+          to={`/wishlist/${id}`}
+          className="inline-flex items-center space-x-2 text-gray-600 hover:text-gray-900 transition-colors mb-6"
+        >
+          <ArrowLeftIcon className="w-5 h-5" />
+          <span>Back to {wishlist.title}</span>
+        </Link>
+
+        <div className="flex flex-col sm:flex-row sm:items-end justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-1">Activity</h1>
+            <p className="text-gray-600">Everything that happened in {wishlist.title}</p>
+          </div>
+
+          {/* Filters */}
+          <div className="flex items-center space-x-2">
+            <select
+              value={filters.type}
+              onChange={(e) => setFilters((current) => ({ ...current, type: e.target.value }))}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {EVENT_FILTERS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <select
+              value={filters.actor}
+              onChange={(e) => setFilters((current) => ({ ...current, actor: e.target.value }))}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="">Everyone</option>
+              {members.map((member) => (
+                <option key={member._id} value={member._id}>
+                  {member._id === user?.id ? 'You' : member.username}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </motion.div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-6">
+          {error}
+        </div>
+      )}
+
+      {/* Timeline */}
+      {isActivityLoading ? (
+        <div className="flex justify-center py-12">
+          <div className="w-8 h-8 border-2 border-blue-600 border-t-transparent rounded-full animate-spin" />
+        </div>
+      ) : groups.length === 0 ? (
+        <div className="text-center py-12 bg-white rounded-xl shadow-sm border">
+          <ClockIcon className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <h3 className="text-xl font-medium text-gray-900 mb-2">No activity yet</h3>
+          <p className="text-gray-600">
+            {filters.type || filters.actor
+              ? 'Nothing matches these filters.'
+              : 'Changes to this wishlist will show up here.'}
+          </p>
+        </div>
+      ) : (
+        <div className={`space-y-8 transition-opacity ${isFetching ? 'opacity-70' : ''}`}>
+          {groups.map((group) => (
+            <section key={group.label}>
+              <h2 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-3">
+                {group.label}
+              </h2>
+              <ul className="bg-white rounded-xl shadow-sm border divide-y divide-gray-100">
+                {group.entries.map((entry) => {
+                  const { icon: Icon, className } = activityIcons[entry.type] || activityIcons['product-updated'];
+
+                  return (
+                    <motion.li
+                      key={entry._id}
+                      initial={{ opacity: 0 }}
+                      animate={{ opacity: 1 }}
+                      className="flex items-start space-x-3 p-4"
+                    >
+                      <div className={`p-2 rounded-full flex-shrink-0 ${className}`}>
+                        <Icon className="w-4 h-4" />
+                      </div>
+                      <div className="flex-1 min-w-0">
+                        <div className="flex items-center space-x-2">
+                          <UserLink user={entry.actor} className="flex-shrink-0">
+                            <img
+                              src={entry.actor.avatar || generateAvatarUrl(entry.actor.username)}
+                              alt={entry.actor.username}
+                              className="w-5 h-5 rounded-full"
+                            />
+                          </UserLink>
+                          <p className="text-sm text-gray-900">
+                            <UserLink user={entry.actor} className="font-medium">
+                              {entry.actor._id === user?.id ? 'You' : entry.actor.username}
+                            </UserLink>{' '}
+                            {describeActivity(entry)}
+                          </p>
+                        </div>
+                        {entry.type === 'comment-added' && entry.data?.text && (
+                          <p className="mt-2 text-sm text-gray-600 bg-gray-50 rounded-lg px-3 py-2">
+                            {entry.data.text}
+                          </p>
+                        )}
+                      </div>
+                      <span className="text-xs text-gray-400 whitespace-nowrap">
+                        {formatTime(entry.createdAt)}
+                      </span>
+                    </motion.li>
+                  );
+                })}
+              </ul>
+            </section>
+          ))}
+        </div>
+      )}
+
+      <InfiniteScrollTrigger
+        hasNextPage={hasNextPage}
+        isFetchingNextPage={isFetchingNextPage}
+        onLoadMore={fetchNextPage}
+      />
+    </div>
+  );
+};
+
+export default WishlistActivity;
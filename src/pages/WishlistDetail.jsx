@@ -1,9 +1,30 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useAuth } from '../context/AuthContext';
 import { wishlistsAPI, productsAPI } from '../services/api';
 import socketService from '../services/socket';
+import { SOCKET_EVENTS } from '../services/socketEvents';
+import offlineQueue from '../services/offlineQueue';
+import { isDegraded } from '../services/connectionStatus';
+import queryCache, {
+  queryKeys,
+  toPage,
+  addProductToCache,
+  updateProductInCache,
+  removeProductFromCache,
+  updateWishlistInCache,
+  removeWishlistFromCache,
+  addCommentToCache,
+  setReactionInCache,
+  removeReactionFromCache
+} from '../services/queryCache';
+import useQuery from '../hooks/useQuery';
+import useInfiniteQuery from '../hooks/useInfiniteQuery';
+import useOfflineQueue from '../hooks/useOfflineQueue';
+import usePresence from '../hooks/usePresence';
+import useWishlistEvents from '../hooks/useWishlistEvents';
+import useConnectionStatus from '../hooks/useConnectionStatus';
 import {
   ArrowLeftIcon,
   PlusIcon,
@@ -12,100 +33,158 @@ import {
   CurrencyDollarIcon,
   LinkIcon,
   CheckIcon,
-  ClipboardIcon
+  ClipboardIcon,
+  ExclamationTriangleIcon,
+  CloudArrowUpIcon,
+  ClockIcon,
+  GlobeAltIcon,
+  EyeIcon,
+  Cog6ToothIcon
 } from '@heroicons/react/24/outline';
-import { formatCurrency, formatRelativeTime, generateAvatarUrl, copyToClipboard } from '../utils/helpers';
+import { formatCurrency, formatRelativeTime, generateAvatarUrl, copyToClipboard, getInviteUrl, getDisplayName } from '../utils/helpers';
+import { getPermissions } from '../utils/permissions';
 import LoadingSpinner from '../components/LoadingSpinner';
-import AddProductModal from '../components/AddProductModal';
+import LazyModal from '../components/LazyModal';
 import ProductCard from '../components/ProductCard';
+import InfiniteScrollTrigger from '../components/InfiniteScrollTrigger';
+import PresenceAvatars from '../components/PresenceAvatars';
+import UserLink from '../components/UserLink';
+import MembersPanel from '../components/MembersPanel';
+import lazyWithPreload from '../utils/lazyWithPreload';
+
+// Loaded when first opened; pulls in the image upload code
+const AddProductModal = lazyWithPreload(() => import('../components/AddProductModal'));
+const InviteSettingsModal = lazyWithPreload(() => import('../components/InviteSettingsModal'));
+
+// Socket handlers write straight into the shared cache so every view of the
+// wishlist picks up the change
+const handleProductAdded = (data) => {
+  addProductToCache(data.wishlistId, data.product);
+};
+
+const handleProductUpdated = (data) => {
+  updateProductInCache(data.wishlistId, data.product);
+};
+
+const handleProductDeleted = (data) => {
+  removeProductFromCache(data.wishlistId, data.productId);
+};
+
+const handleCommentAdded = (data) => {
+  addCommentToCache(data.wishlistId, data.productId, data.comment);
+};
+
+const handleReactionAdded = (data) => {
+  if (data.action === 'remove') {
+    removeReactionFromCache(data.wishlistId, data.productId, data.userId);
+  } else {
+    setReactionInCache(data.wishlistId, data.productId, data.reaction);
+  }
+};
 
 const WishlistDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const { user } = useAuth();
-  const [wishlist, setWishlist] = useState(null);
-  const [products, setProducts] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState('');
+  const {
+    data: wishlist,
+    isLoading: isWishlistLoading,
+    error: wishlistError,
+  } = useQuery(queryKeys.wishlist(id), async () => {
+    const response = await wishlistsAPI.getById(id);
+    return response.data;
+  });
+  const {
+    items: products,
+    total: productCount,
+    isLoading: areProductsLoading,
+    error: productsError,
+    hasNextPage,
+    isFetchingNextPage,
+    fetchNextPage,
+  } = useInfiniteQuery(queryKeys.products(id), async (params) => {
+    const response = await productsAPI.getByWishlist(id, params);
+    return toPage(response.data);
+  });
   const [showAddProduct, setShowAddProduct] = useState(false);
   const [showShareModal, setShowShareModal] = useState(false);
+  const [showInviteSettings, setShowInviteSettings] = useState(false);
   const [shareMessage, setShareMessage] = useState('');
+  const mutations = useOfflineQueue();
+  const viewers = usePresence(id, user);
+  const canBroadcast = !isDegraded(useConnectionStatus());
+  // Set when the wishlist is deleted or we lose access while viewing it
+  const [removedReason, setRemovedReason] = useState('');
+
+  useWishlistEvents([id], user?.id, {
+    onDeleted: (wishlistId) => wishlistId === id && setRemovedReason('deleted'),
+    onRemoved: (wishlistId) => wishlistId === id && setRemovedReason('removed'),
+  });
+
+  useEffect(() => {
+    if (!removedReason) return;
+    const timer = setTimeout(() => navigate('/dashboard', { replace: true }), 4000);
+    return () => clearTimeout(timer);
+  }, [removedReason, navigate]);
+
+  // Offline changes for this wishlist that haven't reached the server yet
+  const wishlistMutations = mutations.filter(m => m.payload.wishlistId === id);
+  const pendingProducts = wishlistMutations.filter(
+    m => m.type === 'product:create' && m.status === 'pending'
+  );
+  const pendingCount = wishlistMutations.filter(m => m.status === 'pending').length;
+  const conflicts = wishlistMutations.filter(m => m.status === 'conflict');
+
+  const isLoading = isWishlistLoading || areProductsLoading;
+  const error = (wishlistError || productsError)?.message || '';
 
   useEffect(() => {
-    fetchWishlistData();
-    
-    // Connect to socket and join wishlist room
-    const socket = socketService.connect();
+    // Connect to socket and join wishlist room (joined once connected)
+    socketService.connect();
     socketService.joinWishlist(id);
 
     // Listen for real-time updates
     socketService.onProductAdded(handleProductAdded);
     socketService.onProductUpdated(handleProductUpdated);
     socketService.onProductDeleted(handleProductDeleted);
+    socketService.onCommentAdded(handleCommentAdded);
+    socketService.onReactionAdded(handleReactionAdded);
+
+    // Updates may have been missed while disconnected, so refetch
+    const unsubscribeResync = socketService.onResync(() => {
+      queryCache.invalidate(queryKeys.wishlist(id));
+      queryCache.invalidate(queryKeys.products(id));
+    });
 
     return () => {
+      unsubscribeResync();
       socketService.leaveWishlist(id);
-      socketService.off('product-added', handleProductAdded);
-      socketService.off('product-updated', handleProductUpdated);
-      socketService.off('product-deleted', handleProductDeleted);
+      socketService.off(SOCKET_EVENTS.PRODUCT_ADDED, handleProductAdded);
+      socketService.off(SOCKET_EVENTS.PRODUCT_UPDATED, handleProductUpdated);
+      socketService.off(SOCKET_EVENTS.PRODUCT_DELETED, handleProductDeleted);
+      socketService.off(SOCKET_EVENTS.COMMENT_ADDED, handleCommentAdded);
+      socketService.off(SOCKET_EVENTS.REACTION_ADDED, handleReactionAdded);
     };
   }, [id]);
 
-  const fetchWishlistData = async () => {
-    try {
-      setIsLoading(true);
-      const [wishlistResponse, productsResponse] = await Promise.all([
-        wishlistsAPI.getById(id),
-        productsAPI.getByWishlist(id)
-      ]);
-      
-      setWishlist(wishlistResponse.data);
-      setProducts(productsResponse.data);
-    } catch (error) {
-      console.error('Error fetching wishlist:', error);
-      setError('Failed to load wishlist');
-    } finally {
-      setIsLoading(false);
-    }
-  };
-
-  const handleProductAdded = (data) => {
-    if (data.wishlistId === id) {
-      setProducts(prev => [data.product, ...prev]);
-    }
-  };
-
-  const handleProductUpdated = (data) => {
-    if (data.wishlistId === id) {
-      setProducts(prev => prev.map(p => p._id === data.product._id ? data.product : p));
-    }
-  };
-
-  const handleProductDeleted = (data) => {
-    if (data.wishlistId === id) {
-      setProducts(prev => prev.filter(p => p._id !== data.productId));
-    }
-  };
-
   const handleAddProduct = async (productData) => {
     try {
-      const response = await productsAPI.create(productData);
-      setProducts(prev => [response.data, ...prev]);
-      setShowAddProduct(false);
-
-      // Emit socket event
-      socketService.emitProductAdded({
+      // Adds the product to the cache and emits the socket event once it
+      // reaches the server, which may be later if we're offline
+      await offlineQueue.mutate('product:create', {
         wishlistId: id,
-        product: response.data
+        productData,
+        user: { _id: user?.id, username: user?.username, avatar: user?.avatar }
       });
+      setShowAddProduct(false);
     } catch (error) {
       console.error('Error adding product:', error);
-      throw new Error(error.response?.data?.message || 'Failed to add product');
+      throw error;
     }
   };
 
   const handleDeleteProduct = (productId) => {
-    setProducts(prev => prev.filter(p => p._id !== productId));
+    removeProductFromCache(id, productId);
   };
 
   const handleCopyInviteCode = async () => {
@@ -114,48 +193,77 @@ const WishlistDetail = () => {
       try {
         const response = await wishlistsAPI.generateInvite(id);
         const newInviteCode = response.data.inviteCode;
-        setWishlist(prev => ({
-          ...prev,
-          inviteCode: newInviteCode
-        }));
+        // Not broadcast: viewers can't invite, so they don't get the code
+        updateWishlistInCache({ _id: id, inviteCode: newInviteCode });
 
-        // Then copy it
-        const success = await copyToClipboard(newInviteCode);
+        // Then copy its link
+        const success = await copyToClipboard(getInviteUrl(newInviteCode));
         if (success) {
-          setShareMessage('Invite code generated and copied!');
+          setShareMessage('Invite link generated and copied!');
         } else {
-          setShareMessage('Invite code generated but failed to copy');
+          setShareMessage('Invite link generated but failed to copy');
         }
       } catch (error) {
-        setShareMessage('Failed to generate invite code');
+        setShareMessage(error.message);
       }
     } else {
-      // Just copy existing invite code
-      const success = await copyToClipboard(wishlist.inviteCode);
+      // Just copy the existing invite link
+      const success = await copyToClipboard(getInviteUrl(wishlist.inviteCode));
       if (success) {
-        setShareMessage('Invite code copied to clipboard!');
+        setShareMessage('Invite link copied to clipboard!');
       } else {
-        setShareMessage('Failed to copy invite code');
+        setShareMessage('Failed to copy invite link');
       }
     }
     setTimeout(() => setShareMessage(''), 3000);
   };
 
-  const handleGenerateNewInviteCode = async () => {
+  const handleLeaveWishlist = async () => {
+    if (!window.confirm('Are you sure you want to leave this wishlist?')) {
+      return;
+    }
+
     try {
-      const response = await wishlistsAPI.generateInvite(id);
-      setWishlist(prev => ({
-        ...prev,
-        inviteCode: response.data.inviteCode
-      }));
-      setShareMessage('New invite code generated!');
-      setTimeout(() => setShareMessage(''), 3000);
+      await wishlistsAPI.leave(id);
+      socketService.emitMemberLeft({ wishlistId: id, userId: user?.id });
+      navigate('/dashboard');
+      removeWishlistFromCache(id);
     } catch (error) {
-      setShareMessage('Failed to generate invite code');
-      setTimeout(() => setShareMessage(''), 3000);
+      console.error('Error leaving wishlist:', error);
+      alert(error.message);
     }
   };
 
+  if (removedReason) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="text-center bg-white rounded-xl shadow-sm border p-8"
+        >
+          <ExclamationTriangleIcon className="w-12 h-12 text-amber-500 mx-auto mb-4" />
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">
+            {removedReason === 'deleted' ? 'This wishlist was deleted' : 'You no longer have access'}
+          </h2>
+          <p className="text-gray-600 mb-6">
+            {removedReason === 'deleted'
+              ? 'The owner deleted this wishlist while you were viewing it.'
+              : 'You were removed from this wishlist, or left it in another tab.'}{' '}
+            Taking you back to your dashboard…
+          </p>
+          <button
+            onClick={() => navigate('/dashboard', { replace: true })}
+            className="inline-flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <ArrowLeftIcon className="w-4 h-4" />
+            <span>Back to Dashboard</span>
+          </button>
+        </motion.div>
+      </div>
+    );
+  }
+
   if (isLoading) {
     return <LoadingSpinner text="Loading wishlist..." />;
   }
@@ -178,9 +286,8 @@ const WishlistDetail = () => {
     );
   }
 
-  const isOwner = wishlist.owner._id === user?.id;
-  const isCollaborator = wishlist.collaborators?.some(c => c.user._id === user?.id);
-  const canEdit = isOwner || isCollaborator;
+  const permissions = getPermissions(wishlist, user?.id);
+  const { canAddProducts } = permissions;
 
   return (
     <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -200,58 +307,74 @@ const WishlistDetail = () => {
           </button>
 
           <div className="flex items-center space-x-3">
-            {canEdit && (
+            <Link
+              to={`/wishlist/${id}/activity`}
+              className="flex items-center space-x-2 px-4 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              <ClockIcon className="w-4 h-4" />
+              <span>Activity</span>
+            </Link>
+
+            {wishlist.isPublic && (
+              <Link
+                to={`/public/wishlist/${id}`}
+                className="flex items-center space-x-2 px-4 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                title="See what people without an account see"
+              >
+                <GlobeAltIcon className="w-4 h-4" />
+                <span>Public page</span>
+              </Link>
+            )}
+
+            {canAddProducts && (
               <motion.button
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
                 onClick={() => setShowAddProduct(true)}
-                className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                onMouseEnter={AddProductModal.preload}
+                className={`flex items-center space-x-2 px-4 py-2 text-white rounded-lg transition-colors ${
+                  canBroadcast ? 'bg-blue-600 hover:bg-blue-700' : 'bg-amber-500 hover:bg-amber-600'
+                }`}
+                title={canBroadcast ? undefined : "Live updates are paused, collaborators won't see new products until you reconnect"}
               >
-                <PlusIcon className="w-4 h-4" />
+                {canBroadcast ? (
+                  <PlusIcon className="w-4 h-4" />
+                ) : (
+                  <ExclamationTriangleIcon className="w-4 h-4" />
+                )}
                 <span>Add Product</span>
               </motion.button>
             )}
 
-            {/* Invite Code Section - Only show for owners/admins */}
-            {canEdit && (
+            {/* Invite Code Section - Only show for editors and up */}
+            {permissions.canInvite && (
               <div className="relative flex items-center space-x-2">
-                {wishlist?.inviteCode ? (
-                  <>
-                    {/* Copy Invite Code Button */}
-                    <motion.button
-                      whileHover={{ scale: 1.02 }}
-                      whileTap={{ scale: 0.98 }}
-                      onClick={handleCopyInviteCode}
-                      className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
-                      title="Copy invite code to clipboard"
-                    >
-                      <ClipboardIcon className="w-4 h-4" />
-                      <span>Copy Code: {wishlist.inviteCode}</span>
-                    </motion.button>
-
-                    {/* Generate New Code Button */}
-                    <motion.button
-                      whileHover={{ scale: 1.02 }}
-                      whileTap={{ scale: 0.98 }}
-                      onClick={handleGenerateNewInviteCode}
-                      className="px-3 py-2 text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50 transition-colors text-sm"
-                      title="Generate new invite code"
-                    >
-                      New Code
-                    </motion.button>
-                  </>
-                ) : (
-                  <motion.button
-                    whileHover={{ scale: 1.02 }}
-                    whileTap={{ scale: 0.98 }}
-                    onClick={handleCopyInviteCode}
-                    className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
-                    title="Generate and copy invite code"
-                  >
-                    <ClipboardIcon className="w-4 h-4" />
-                    <span>Copy Invite Code</span>
-                  </motion.button>
-                )}
+                {/* Copy Invite Code Button */}
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  onClick={handleCopyInviteCode}
+                  className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                  title={wishlist?.inviteCode ? `Copy invite link (code ${wishlist.inviteCode})` : 'Generate and copy an invite link'}
+                >
+                  <ClipboardIcon className="w-4 h-4" />
+                  <span>Copy Invite Link</span>
+                </motion.button>
+
+                {/* Invite Settings Button */}
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  onClick={() => setShowInviteSettings(true)}
+                  onMouseEnter={InviteSettingsModal.preload}
+                  className="flex items-center space-x-1 px-3 py-2 text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50 transition-colors text-sm"
+                  title={permissions.canManageInvites
+                    ? 'Create invite links with a role, expiry or usage limit, and revoke existing ones'
+                    : 'Create an invite link with a role, expiry or usage limit'}
+                >
+                  <Cog6ToothIcon className="w-4 h-4" />
+                  <span>Invites</span>
+                </motion.button>
 
                 {/* Success/Error Message */}
                 <AnimatePresence>
@@ -281,18 +404,21 @@ const WishlistDetail = () => {
               {wishlist.description && (
                 <p className="text-gray-600 text-lg">{wishlist.description}</p>
               )}
+              <div className="mt-3">
+                <PresenceAvatars viewers={viewers} />
+              </div>
             </div>
             
             <div className="text-right">
               <p className="text-sm text-gray-500">Created by</p>
-              <div className="flex items-center space-x-2">
+              <UserLink user={wishlist.owner} className="flex items-center space-x-2">
                 <img
-                  src={wishlist.owner.avatar || generateAvatarUrl(wishlist.owner.username)}
-                  alt={wishlist.owner.username}
+                  src={wishlist.owner?.avatar || generateAvatarUrl(getDisplayName(wishlist.owner))}
+                  alt={getDisplayName(wishlist.owner)}
                   className="w-8 h-8 rounded-full"
                 />
-                <span className="font-medium text-gray-900">{wishlist.owner.username}</span>
-              </div>
+                <span className="font-medium text-gray-900">{getDisplayName(wishlist.owner)}</span>
+              </UserLink>
             </div>
           </div>
 
@@ -300,12 +426,14 @@ const WishlistDetail = () => {
           <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
             <div className="flex items-center space-x-2">
               <HeartIcon className="w-5 h-5 text-blue-600" />
-              <span className="text-sm text-gray-600">{products.length} items</span>
+              <span className="text-sm text-gray-600">{productCount ?? products.length} items</span>
             </div>
             <div className="flex items-center space-x-2">
               <CurrencyDollarIcon className="w-5 h-5 text-green-600" />
               <span className="text-sm text-gray-600">
-                {formatCurrency(products.reduce((sum, p) => sum + (p.price || 0), 0))}
+                {formatCurrency(
+                  wishlist.totalValue ?? products.reduce((sum, p) => sum + (p.price || 0), 0)
+                )}
               </span>
             </div>
             <div className="flex items-center space-x-2">
@@ -319,60 +447,83 @@ const WishlistDetail = () => {
             </div>
           </div>
 
-          {/* Members Section */}
-          <div className="border-t pt-6">
-            <h3 className="text-lg font-semibold text-gray-900 mb-4">
-              Members ({(wishlist.collaborators?.length || 0) + 1})
-            </h3>
-
-            <div className="space-y-3">
-              {/* Owner */}
-              <div className="flex items-center justify-between p-3 bg-amber-50 border border-amber-200 rounded-lg">
-                <div className="flex items-center space-x-3">
-                  <img
-                    src={wishlist.owner.avatar || generateAvatarUrl(wishlist.owner.username)}
-                    alt={wishlist.owner.username}
-                    className="w-10 h-10 rounded-full border-2 border-amber-300"
-                  />
-                  <div>
-                    <p className="font-medium text-gray-900">{wishlist.owner.username}</p>
-                    <p className="text-sm text-amber-700">Owner</p>
-                  </div>
-                </div>
-                <div className="text-sm text-amber-600 font-medium">👑</div>
-              </div>
+          {/* Members */}
+          <MembersPanel
+            wishlist={wishlist}
+            currentUserId={user?.id}
+            permissions={permissions}
+            onLeave={handleLeaveWishlist}
+          />
+        </div>
+      </motion.div>
 
-              {/* Collaborators */}
-              {wishlist.collaborators && wishlist.collaborators.length > 0 && (
-                <>
-                  {wishlist.collaborators.map((collab) => (
-                    <div key={collab.user._id} className="flex items-center justify-between p-3 bg-blue-50 border border-blue-200 rounded-lg">
-                      <div className="flex items-center space-x-3">
-                        <img
-                          src={collab.user.avatar || generateAvatarUrl(collab.user.username)}
-                          alt={collab.user.username}
-                          className="w-10 h-10 rounded-full border-2 border-blue-300"
-                        />
-                        <div>
-                          <p className="font-medium text-gray-900">{collab.user.username}</p>
-                          <p className="text-sm text-blue-700 capitalize">{collab.role}</p>
-                        </div>
-                      </div>
-                      <div className="text-sm text-gray-500">
-                        Joined {formatRelativeTime(collab.joinedAt)}
-                      </div>
-                    </div>
-                  ))}
-                </>
-              )}
+      {/* Offline sync status */}
+      {(pendingCount > 0 || conflicts.length > 0 || (canAddProducts && !canBroadcast)) && (
+        <div className="space-y-3 mb-6">
+          {canAddProducts && !canBroadcast && (
+            <div className="flex items-center space-x-2 bg-amber-50 border border-amber-200 text-amber-800 px-4 py-3 rounded-lg text-sm">
+              <ExclamationTriangleIcon className="w-5 h-5 flex-shrink-0" />
+              <span>
+                Live updates are paused. Changes you make here are kept, but collaborators
+                won't see them until the connection is back.
+              </span>
             </div>
-          </div>
+          )}
+
+          {pendingCount > 0 && (
+            <div className="flex items-center space-x-2 bg-blue-50 border border-blue-200 text-blue-700 px-4 py-3 rounded-lg text-sm">
+              <CloudArrowUpIcon className="w-5 h-5 flex-shrink-0" />
+              <span>
+                {pendingCount} {pendingCount === 1 ? 'change is' : 'changes are'} waiting to sync.
+                They will be sent automatically when you're back online.
+              </span>
+            </div>
+          )}
+
+          {conflicts.map((mutation) => (
+            <div
+              key={mutation.id}
+              className="flex items-center justify-between bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm"
+            >
+              <div className="flex items-center space-x-2">
+                <ExclamationTriangleIcon className="w-5 h-5 flex-shrink-0" />
+                <span>
+                  Couldn't sync {offlineQueue.describe(mutation)}: {mutation.error}
+                </span>
+              </div>
+              <div className="flex items-center space-x-2 ml-4">
+                <button
+                  onClick={() => offlineQueue.retry(mutation.id)}
+                  className="px-3 py-1 text-red-700 border border-red-300 rounded-lg hover:bg-red-100 transition-colors"
+                >
+                  Retry
+                </button>
+                <button
+                  onClick={() => offlineQueue.dismiss(mutation.id)}
+                  className="px-3 py-1 text-gray-600 hover:text-gray-900 transition-colors"
+                >
+                  Dismiss
+                </button>
+              </div>
+            </div>
+          ))}
         </div>
-      </motion.div>
+      )}
+
+      {/* Tell viewers why there's no way to add products */}
+      {permissions.role === 'viewer' && (
+        <div className="flex items-center space-x-2 bg-blue-50 border border-blue-200 text-blue-700 px-4 py-3 rounded-lg text-sm mb-6">
+          <EyeIcon className="w-5 h-5 flex-shrink-0" />
+          <span>
+            You're a viewer on this wishlist. You can comment and react, but only editors can add
+            or change products.
+          </span>
+        </div>
+      )}
 
       {/* Products */}
       <div className="space-y-6">
-        {products.length === 0 ? (
+        {products.length === 0 && pendingProducts.length === 0 ? (
           <motion.div
             initial={{ opacity: 0 }}
             animate={{ opacity: 1 }}
@@ -381,11 +532,12 @@ const WishlistDetail = () => {
             <HeartIcon className="w-16 h-16 text-gray-300 mx-auto mb-4" />
             <h3 className="text-xl font-medium text-gray-900 mb-2">No products yet</h3>
             <p className="text-gray-600 mb-6">Start adding products to this wishlist!</p>
-            {canEdit && (
+            {canAddProducts && (
               <motion.button
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
                 onClick={() => setShowAddProduct(true)}
+                onMouseEnter={AddProductModal.preload}
                 className="inline-flex items-center space-x-2 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
               >
                 <PlusIcon className="w-5 h-5" />
@@ -396,28 +548,57 @@ const WishlistDetail = () => {
         ) : (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
             <AnimatePresence>
+              {pendingProducts.map((mutation) => (
+                <ProductCard
+                  key={mutation.id}
+                  product={{
+                    _id: mutation.id,
+                    ...mutation.payload.productData,
+                    addedBy: mutation.payload.user,
+                    createdAt: mutation.createdAt,
+                    comments: [],
+                    reactions: []
+                  }}
+                  isPending
+                />
+              ))}
               {products.map((product) => (
                 <ProductCard
                   key={product._id}
                   product={product}
-                  onUpdate={(updatedProduct) => {
-                    setProducts(prev => prev.map(p => p._id === updatedProduct._id ? updatedProduct : p));
-                  }}
+                  onUpdate={(updatedProduct) => updateProductInCache(id, updatedProduct)}
                   onDelete={handleDeleteProduct}
-                  canEdit={canEdit}
+                  permissions={permissions}
                 />
               ))}
             </AnimatePresence>
           </div>
         )}
+
+        <InfiniteScrollTrigger
+          hasNextPage={hasNextPage}
+          isFetchingNextPage={isFetchingNextPage}
+          onLoadMore={fetchNextPage}
+        />
       </div>
 
       {/* Add Product Modal */}
-      <AddProductModal
+      <LazyModal
+        component={AddProductModal}
         isOpen={showAddProduct}
         onClose={() => setShowAddProduct(false)}
         onSubmit={handleAddProduct}
         wishlistId={id}
+        canAdd={canAddProducts}
+      />
+
+      {/* Invite Settings Modal */}
+      <LazyModal
+        component={InviteSettingsModal}
+        isOpen={showInviteSettings}
+        onClose={() => setShowInviteSettings(false)}
+        wishlist={wishlist}
+        permissions={permissions}
       />
     </div>
   );
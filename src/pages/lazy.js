@@ -0,0 +1,35 @@
+import { matchPath } from 'react-router-dom';
+import lazyWithPreload from '../utils/lazyWithPreload';
+
+// Every page is its own chunk so the login screen doesn't download the app
+export const Login = lazyWithPreload(() => import('./Login'));
+export const Register = lazyWithPreload(() => import('./Register'));
+export const Dashboard = lazyWithPreload(() => import('./Dashboard'));
+export const WishlistDetail = lazyWithPreload(() => import('./WishlistDetail'));
+export const WishlistActivity = lazyWithPreload(() => import('./WishlistActivity'));
+export const JoinWishlist = lazyWithPreload(() => import('./JoinWishlist'));
+export const PublicWishlist = lazyWithPreload(() => import('./PublicWishlist'));
+export const Explore = lazyWithPreload(() => import('./Explore'));
+export const UserProfile = lazyWithPreload(() => import('./UserProfile'));
+export const Profile = lazyWithPreload(() => import('./Profile'));
+export const NotFound = lazyWithPreload(() => import('./NotFound'));
+
+const routePages = [
+  ['/login', Login],
+  ['/register', Register],
+  ['/dashboard', Dashboard],
+  ['/wishlist/:id', WishlistDetail],
+  ['/wishlist/:id/activity', WishlistActivity],
+  ['/join/:code', JoinWishlist],
+  ['/public/wishlist/:id', PublicWishlist],
+  ['/explore', Explore],
+  ['/u/:username', UserProfile],
+  ['/profile', Profile],
+];
+
+// Start loading the page a path leads to, typically on hover or focus of a
+// link to it. Paths without a lazy page are ignored.
+export const preloadRoute = (path) => {
+  const [, page] = routePages.find(([pattern]) => matchPath(pattern, path)) || [];
+  page?.preload();
+};
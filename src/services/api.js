@@ -1,6 +1,10 @@
 import axios from 'axios';
+import mockAdapter from '../mocks/adapter';
+import { ApiError } from './apiError';
+import { getLoginUrl } from '../utils/helpers';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+const MOCK_API = import.meta.env.VITE_MOCK_API === 'true';
 
 // Create axios instance
 const api = axios.create({
@@ -8,11 +12,109 @@ const api = axios.create({
   headers: {
     'Content-Type': 'application/json',
   },
+  // In mock mode requests are answered by an in-browser fake backend
+  ...(MOCK_API && { adapter: mockAdapter }),
 });
 
-// Request interceptor to add auth token
+// Token refresh state shared by every request that hits a 401
+let isRefreshing = false;
+let refreshQueue = [];
+const tokenListeners = new Set();
+const sessionListeners = new Set();
+
+// Subscribe to token refreshes (returns an unsubscribe function)
+export const onTokenRefreshed = (listener) => {
+  tokenListeners.add(listener);
+  return () => tokenListeners.delete(listener);
+};
+
+// Subscribe to the session expiring (returns an unsubscribe function)
+export const onSessionExpired = (listener) => {
+  sessionListeners.add(listener);
+  return () => sessionListeners.delete(listener);
+};
+
+const processRefreshQueue = (error, token = null) => {
+  refreshQueue.forEach(({ resolve, reject }) => {
+    if (error) {
+      reject(error);
+    } else {
+      resolve(token);
+    }
+  });
+  refreshQueue = [];
+};
+
+// Clear the stored session and send the user back to the login page,
+// remembering where they were so they can pick up from there
+export const expireSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  sessionListeners.forEach((listener) => listener());
+  const { pathname, search, hash } = window.location;
+  window.location.href = getLoginUrl(`${pathname}${search}${hash}`);
+};
+
+// Exchange the stored refresh token for a new access token. Concurrent
+// callers share the same in-flight refresh.
+export const refreshAccessToken = () => {
+  if (isRefreshing) {
+    return new Promise((resolve, reject) => {
+      refreshQueue.push({ resolve, reject });
+    });
+  }
+
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) {
+    return Promise.reject(new Error('No refresh token available'));
+  }
+
+  isRefreshing = true;
+
+  // Auth endpoints are excluded from the refresh logic below, so a failed
+  // refresh can't recurse into another refresh
+  return authAPI
+    .refresh(refreshToken)
+    .then((response) => {
+      const { token, refreshToken: newRefreshToken } = response.data;
+
+      localStorage.setItem('token', token);
+      if (newRefreshToken) {
+        localStorage.setItem('refreshToken', newRefreshToken);
+      }
+
+      processRefreshQueue(null, token);
+      tokenListeners.forEach((listener) => listener(token));
+      return token;
+    })
+    .catch((error) => {
+      processRefreshQueue(error);
+      throw error;
+    })
+    .finally(() => {
+      isRefreshing = false;
+    });
+};
+
+// Requests that should never trigger a token refresh
+const isAuthRequest = (config) =>
+  ['/auth/login', '/auth/register', '/auth/refresh'].some((path) => config?.url?.startsWith(path));
+
+// Request interceptor to add auth token. Requests sent while a refresh is
+// in flight wait for the new token instead of going out with the old one.
 api.interceptors.request.use(
-  (config) => {
+  async (config) => {
+    if (isRefreshing && !isAuthRequest(config)) {
+      try {
+        await new Promise((resolve, reject) => {
+          refreshQueue.push({ resolve, reject });
+        });
+      } catch {
+        // Let the request go out and fail normally
+      }
+    }
+
     const token = localStorage.getItem('token');
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
@@ -24,41 +126,89 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor to handle errors
+// Response interceptor to refresh expired tokens and replay the request
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+
+    if (
+      error.response?.status !== 401 ||
+      !originalRequest ||
+      originalRequest._retry ||
+      isAuthRequest(originalRequest)
+    ) {
+      return Promise.reject(error);
+    }
+
+    originalRequest._retry = true;
+
+    try {
+      const token = await refreshAccessToken();
+      originalRequest.headers.Authorization = `Bearer ${token}`;
+      return api(originalRequest);
+    } catch {
+      expireSession();
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
   }
 );
 
+// Normalize every failure into an ApiError. Registered last so it sees the
+// outcome of the refresh logic above.
+api.interceptors.response.use(
+  (response) => response,
+  (error) => Promise.reject(ApiError.from(error))
+);
+
 // Auth API
 export const authAPI = {
   register: (userData) => api.post('/auth/register', userData),
   login: (credentials) => api.post('/auth/login', credentials),
+  refresh: (refreshToken) => api.post('/auth/refresh', { refreshToken }),
   getProfile: () => api.get('/auth/me'),
   updateProfile: (userData) => api.put('/auth/profile', userData),
 };
 
 // Wishlists API
 export const wishlistsAPI = {
-  getAll: () => api.get('/wishlists'),
+  // Pass `{ cursor, limit }` for one page of `{ items, nextCursor, total }`
+  getAll: (params) => api.get('/wishlists', { params }),
   getById: (id) => api.get(`/wishlists/${id}`),
   create: (wishlistData) => api.post('/wishlists', wishlistData),
   update: (id, wishlistData) => api.put(`/wishlists/${id}`, wishlistData),
   delete: (id) => api.delete(`/wishlists/${id}`),
+  // Title, owner and member count of the wishlist behind an invite code.
+  // Works signed out; `isMember` tells signed-in users they're already in.
+  getInvitePreview: (inviteCode) => api.get(`/wishlists/join/${inviteCode}`),
   joinByInvite: (inviteCode) => api.post(`/wishlists/join/${inviteCode}`),
+  leave: (id) => api.post(`/wishlists/${id}/leave`),
+  // The default invite every member who can invite shares: editor role, no
+  // expiry or use limit. Replaces (and revokes) the current default.
+  // Returns `{ inviteCode }`.
   generateInvite: (id) => api.post(`/wishlists/${id}/invite`),
+  // An extra invite, returned only to its creator as `{ invite }`. Options:
+  // `role` granted on join (default editor), `expiresAt` (ISO date) and
+  // `maxUses`, both unlimited when left out.
+  createInvite: (id, options) => api.post(`/wishlists/${id}/invites`, options),
+  // Admins and the owner. Invites carry `uses` and a `status` of active,
+  // expired, exhausted or revoked.
+  getInvites: (id) => api.get(`/wishlists/${id}/invites`),
+  revokeInvite: (id, code) => api.delete(`/wishlists/${id}/invites/${code}`),
+  // Member management (owner and admins). Each returns the updated wishlist.
+  updateMemberRole: (id, userId, role) => api.put(`/wishlists/${id}/members/${userId}`, { role }),
+  removeMember: (id, userId) => api.delete(`/wishlists/${id}/members/${userId}`),
+  // Owner only; the previous owner becomes an admin
+  transferOwnership: (id, userId) => api.post(`/wishlists/${id}/transfer`, { userId }),
+  // History of a wishlist, newest first. Paginated like getAll and filtered
+  // by `type` (product, comment, reaction or member) and `actor` (user id).
+  getActivity: (id, params) => api.get(`/wishlists/${id}/activity`, { params }),
 };
 
 // Products API
 export const productsAPI = {
-  getByWishlist: (wishlistId) => api.get(`/products/wishlist/${wishlistId}`),
+  // Paginated the same way as wishlistsAPI.getAll
+  getByWishlist: (wishlistId, params) => api.get(`/products/wishlist/${wishlistId}`, { params }),
   create: (productData) => api.post('/products', productData),
   update: (id, productData) => api.put(`/products/${id}`, productData),
   delete: (id) => api.delete(`/products/${id}`),
@@ -67,26 +217,75 @@ export const productsAPI = {
   removeReaction: (id) => api.delete(`/products/${id}/reactions`),
 };
 
+// Users API
+export const usersAPI = {
+  // Public profile: `{ user, publicWishlists, sharedWishlists }`. The shared
+  // list is only filled in for signed-in visitors.
+  getProfile: (username) => api.get(`/users/${encodeURIComponent(username)}`),
+};
+
+// Public API, for wishlists flagged `isPublic`. Works without signing in.
+export const publicAPI = {
+  // Browse public wishlists. Params: `q` (searches title, description and
+  // tags), `sort` ('newest', 'items' or 'value'), `tag`, `cursor`, `limit`.
+  // Pages also carry `tags`, facet counts as `[{ tag, count }]`.
+  explore: (params) => api.get('/public/wishlists', { params }),
+  getWishlist: (id) => api.get(`/public/wishlists/${id}`),
+  // Paginated like productsAPI.getByWishlist; comments are left out
+  getProducts: (id, params) => api.get(`/public/wishlists/${id}/products`, { params }),
+};
+
 // Upload API
-export const uploadAPI = {
-  uploadAvatar: (file) => {
-    const formData = new FormData();
-    formData.append('avatar', file);
-    return api.post('/upload/avatar', formData, {
-      headers: {
-        'Content-Type': 'multipart/form-data',
-      },
-    });
-  },
-  uploadProductImage: (file) => {
+const UPLOAD_RETRIES = 2;
+const UPLOAD_RETRY_DELAY = 1000;
+
+// Wait before retrying, giving up early if the upload is canceled
+const waitForRetry = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new ApiError({ code: 'CANCELED' }));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+// Post a single file as multipart form data. `onProgress` receives the
+// percentage of bytes sent, `signal` (an AbortSignal) cancels the upload and
+// transient failures (network errors, timeouts, 5xx) are retried with backoff.
+const uploadFile = async (url, field, file, { onProgress, signal, retries = UPLOAD_RETRIES } = {}) => {
+  for (let attempt = 0; ; attempt++) {
     const formData = new FormData();
-    formData.append('image', file);
-    return api.post('/upload/product-image', formData, {
-      headers: {
-        'Content-Type': 'multipart/form-data',
-      },
-    });
-  },
+    formData.append(field, file);
+
+    try {
+      return await api.post(url, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+        signal,
+        onUploadProgress: (event) => {
+          if (onProgress && event.total) {
+            onProgress(Math.round((event.loaded / event.total) * 100));
+          }
+        },
+      });
+    } catch (error) {
+      if (!error.retryable || attempt >= retries || signal?.aborted) {
+        throw error;
+      }
+      onProgress?.(0);
+      await waitForRetry(UPLOAD_RETRY_DELAY * 2 ** attempt, signal);
+    }
+  }
+};
+
+export const uploadAPI = {
+  uploadAvatar: (file, options) => uploadFile('/upload/avatar', 'avatar', file, options),
+  uploadProductImage: (file, options) => uploadFile('/upload/product-image', 'image', file, options),
   deleteImage: (imageUrl) => api.delete('/upload/image', { data: { imageUrl } }),
   testConfig: () => api.get('/upload/test'),
 };
@@ -0,0 +1,130 @@
+// Default user-facing messages for each error code
+const DEFAULT_MESSAGES = {
+  NETWORK_ERROR: 'Unable to connect to server. Please check your connection.',
+  TIMEOUT: 'The server took too long to respond. Please try again.',
+  CANCELED: 'The request was canceled.',
+  BAD_REQUEST: 'The request was invalid.',
+  VALIDATION_ERROR: 'Please fix the highlighted fields.',
+  UNAUTHORIZED: 'Your session has expired. Please log in again.',
+  FORBIDDEN: 'You do not have permission to do that.',
+  NOT_FOUND: 'The requested item could not be found.',
+  CONFLICT: 'This item was changed by someone else.',
+  INVITE_EXPIRED: 'This invite link has expired.',
+  INVITE_EXHAUSTED: 'This invite link has already been used the maximum number of times.',
+  INVITE_REVOKED: 'This invite link has been revoked.',
+  RATE_LIMITED: 'Too many requests. Please wait a moment and try again.',
+  SERVICE_UNAVAILABLE: 'The service is temporarily unavailable. Please try again later.',
+  SERVER_ERROR: 'Something went wrong on our end. Please try again.',
+  UNKNOWN: 'Something went wrong. Please try again.',
+};
+
+const codeFromStatus = (status) => {
+  switch (status) {
+    case 400:
+      return 'BAD_REQUEST';
+    case 401:
+      return 'UNAUTHORIZED';
+    case 403:
+      return 'FORBIDDEN';
+    case 404:
+      return 'NOT_FOUND';
+    case 408:
+      return 'TIMEOUT';
+    case 409:
+      return 'CONFLICT';
+    case 422:
+      return 'VALIDATION_ERROR';
+    case 429:
+      return 'RATE_LIMITED';
+    case 503:
+      return 'SERVICE_UNAVAILABLE';
+    default:
+      return status >= 500 ? 'SERVER_ERROR' : 'UNKNOWN';
+  }
+};
+
+// Accepts the shapes our backend and its validators produce:
+// [{ path | param | field, msg | message }] or { field: message | { message } }
+const normalizeFieldErrors = (errors) => {
+  if (!errors || typeof errors !== 'object') {
+    return {};
+  }
+
+  if (Array.isArray(errors)) {
+    return errors.reduce((acc, item) => {
+      const field = item?.path || item?.param || item?.field;
+      if (field && !acc[field]) {
+        acc[field] = item.msg || item.message || 'Invalid value';
+      }
+      return acc;
+    }, {});
+  }
+
+  return Object.entries(errors).reduce((acc, [field, value]) => {
+    acc[field] = typeof value === 'string' ? value : value?.message || 'Invalid value';
+    return acc;
+  }, {});
+};
+
+// Every failed request made through api.js rejects with an ApiError
+export class ApiError extends Error {
+  constructor({ message, code = 'UNKNOWN', status = null, fieldErrors = {}, retryable = false, data = null }) {
+    super(message || DEFAULT_MESSAGES[code] || DEFAULT_MESSAGES.UNKNOWN);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.fieldErrors = fieldErrors;
+    this.retryable = retryable;
+    this.data = data;
+  }
+
+  // The request never got a response, e.g. offline or server down
+  get isNetworkError() {
+    return this.code === 'NETWORK_ERROR' || this.code === 'TIMEOUT';
+  }
+
+  get hasFieldErrors() {
+    return Object.keys(this.fieldErrors).length > 0;
+  }
+
+  // Normalize an axios error (or anything else thrown) into an ApiError
+  static from(error) {
+    if (error instanceof ApiError) {
+      return error;
+    }
+
+    if (error?.code === 'ERR_CANCELED') {
+      return new ApiError({ code: 'CANCELED' });
+    }
+
+    if (error?.response) {
+      const { status, data } = error.response;
+      const fieldErrors = normalizeFieldErrors(data?.errors);
+      let code = data?.code || codeFromStatus(status);
+      if (code === 'BAD_REQUEST' && Object.keys(fieldErrors).length > 0) {
+        code = 'VALIDATION_ERROR';
+      }
+
+      return new ApiError({
+        message: typeof data?.message === 'string' ? data.message : undefined,
+        code,
+        status,
+        fieldErrors,
+        retryable: status === 408 || status === 429 || (status >= 500 && status !== 501),
+        data,
+      });
+    }
+
+    if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT') {
+      return new ApiError({ code: 'TIMEOUT', retryable: true });
+    }
+
+    if (error?.request || error?.code === 'ERR_NETWORK') {
+      return new ApiError({ code: 'NETWORK_ERROR', retryable: true });
+    }
+
+    return new ApiError({ message: error?.message });
+  }
+}
+
+export const isApiError = (error) => error instanceof ApiError;
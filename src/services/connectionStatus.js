@@ -0,0 +1,59 @@
+// Reactive state of the real-time connection, driven by SocketService and
+// the browser's online/offline events:
+//   idle        - no socket (logged out)
+//   connecting  - first connection attempt
+//   connected   - live updates flowing
+//   reconnecting - connection dropped, retrying
+//   unreachable - several attempts in a row failed
+//   disconnected - the server closed the connection; no retries until asked
+//   offline     - the browser has no network
+class ConnectionStatus {
+  constructor() {
+    this.socketStatus = 'idle';
+    this.isOnline = typeof navigator === 'undefined' ? true : navigator.onLine;
+    this.listeners = new Set();
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => this.setOnline(true));
+      window.addEventListener('offline', () => this.setOnline(false));
+    }
+  }
+
+  getStatus() {
+    if (!this.isOnline && this.socketStatus !== 'idle') {
+      return 'offline';
+    }
+    return this.socketStatus;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener());
+  }
+
+  setSocketStatus(status) {
+    if (status !== this.socketStatus) {
+      this.socketStatus = status;
+      this.notify();
+    }
+  }
+
+  setOnline(isOnline) {
+    this.isOnline = isOnline;
+    this.notify();
+  }
+}
+
+// Statuses in which our changes can't be broadcast to collaborators right now
+const DEGRADED_STATUSES = ['reconnecting', 'unreachable', 'disconnected', 'offline'];
+
+export const isDegraded = (status) => DEGRADED_STATUSES.includes(status);
+
+// Create singleton instance
+const connectionStatus = new ConnectionStatus();
+
+export default connectionStatus;
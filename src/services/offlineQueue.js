@@ -0,0 +1,313 @@
+import { productsAPI, onSessionExpired } from './api';
+import socketService from './socket';
+import {
+  addProductToCache,
+  addCommentToCache,
+  setReactionInCache,
+  removeReactionFromCache,
+} from './queryCache';
+
+const DB_NAME = 'wishlist-offline';
+const DB_VERSION = 1;
+const STORE_NAME = 'mutations';
+const RETRY_DELAY = 15 * 1000;
+
+// Minimal promise wrappers around IndexedDB
+const openDatabase = () =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const runTransaction = async (mode, operation) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request?.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+    // Aborts without an error (e.g. the quota was exceeded) only fire this
+    transaction.onabort = () => {
+      db.close();
+      reject(transaction.error || new Error('Transaction aborted'));
+    };
+  });
+};
+
+// Mutations are stored with the id of the user who made them, so nothing
+// queued by one account is ever sent with another's token
+const getCurrentUserId = () => {
+  try {
+    return JSON.parse(localStorage.getItem('user'))?._id || null;
+  } catch {
+    return null;
+  }
+};
+
+const belongsToCurrentUser = (mutation) => mutation.userId === getCurrentUserId();
+
+// Mutations that can be queued while offline. `execute` performs the request
+// and `onSuccess` applies the result locally and broadcasts it.
+const mutationHandlers = {
+  'product:create': {
+    label: (payload) => `adding "${payload.productData.name}"`,
+    execute: (payload) => productsAPI.create(payload.productData),
+    onSuccess: (data, payload) => {
+      addProductToCache(payload.wishlistId, data);
+      socketService.emitProductAdded({
+        wishlistId: payload.wishlistId,
+        product: data,
+      });
+    },
+  },
+  'comment:add': {
+    label: () => 'your comment',
+    execute: (payload) => productsAPI.addComment(payload.productId, { text: payload.text }),
+    onSuccess: (data, payload) => {
+      addCommentToCache(payload.wishlistId, payload.productId, data);
+      socketService.emitCommentAdded({
+        wishlistId: payload.wishlistId,
+        productId: payload.productId,
+        comment: data,
+      });
+    },
+  },
+  'reaction:add': {
+    label: (payload) => `your ${payload.emoji} reaction`,
+    execute: (payload) => productsAPI.addReaction(payload.productId, { emoji: payload.emoji }),
+    onSuccess: (data, payload) => {
+      setReactionInCache(payload.wishlistId, payload.productId, data);
+      socketService.emitReactionAdded({
+        wishlistId: payload.wishlistId,
+        productId: payload.productId,
+        reaction: data,
+        action: 'add',
+      });
+    },
+  },
+  'reaction:remove': {
+    label: () => 'removing your reaction',
+    execute: (payload) => productsAPI.removeReaction(payload.productId),
+    onSuccess: (data, payload) => {
+      removeReactionFromCache(payload.wishlistId, payload.productId, payload.userId);
+      socketService.emitReactionAdded({
+        wishlistId: payload.wishlistId,
+        productId: payload.productId,
+        action: 'remove',
+        userId: payload.userId,
+      });
+    },
+  },
+};
+
+class OfflineQueue {
+  constructor() {
+    this.mutations = [];
+    this.listeners = new Set();
+    this.isReplaying = false;
+    this.isReady = false;
+    this.retryTimer = null;
+    // Settles once the persisted queue has been read
+    this.loading = Promise.resolve();
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => this.replay());
+      onSessionExpired(() => this.clear());
+      this.loading = this.load();
+    }
+  }
+
+  async load() {
+    try {
+      const stored = ((await runTransaction('readonly', (store) => store.getAll())) || [])
+        .filter(belongsToCurrentUser);
+      // Keep anything queued before loading finished
+      const loadedIds = new Set(stored.map((m) => m.id));
+      this.mutations = [
+        ...stored,
+        ...this.mutations.filter((m) => !loadedIds.has(m.id)),
+      ].sort((a, b) => a.createdAt - b.createdAt);
+    } catch (error) {
+      console.error('Error loading offline queue:', error);
+    }
+
+    this.isReady = true;
+    this.notify();
+    this.replay();
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  getMutations() {
+    return this.mutations;
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener());
+  }
+
+  setMutations(mutations) {
+    this.mutations = mutations;
+    this.notify();
+  }
+
+  async persist(mutation) {
+    try {
+      await runTransaction('readwrite', (store) => store.put(mutation));
+    } catch (error) {
+      console.error('Error saving offline mutation:', error);
+    }
+  }
+
+  async delete(id) {
+    this.setMutations(this.mutations.filter((m) => m.id !== id));
+    try {
+      await runTransaction('readwrite', (store) => store.delete(id));
+    } catch (error) {
+      console.error('Error removing offline mutation:', error);
+    }
+  }
+
+  async enqueue(type, payload) {
+    const mutation = {
+      id: crypto.randomUUID(),
+      type,
+      payload,
+      userId: getCurrentUserId(),
+      status: 'pending',
+      error: null,
+      createdAt: Date.now(),
+    };
+
+    this.setMutations([...this.mutations, mutation]);
+    await this.persist(mutation);
+    return mutation;
+  }
+
+  // Run a mutation now, or queue it when offline. Resolves with
+  // `{ queued: false, data }` or `{ queued: true, mutation }`; errors returned
+  // by the server are thrown as usual.
+  async mutate(type, payload) {
+    const handler = mutationHandlers[type];
+    // Until the stored queue is read we can't tell whether older mutations
+    // are waiting, and sending this one first would overtake them
+    await this.loading;
+    const hasPending = this.mutations.some((m) => m.status === 'pending' && belongsToCurrentUser(m));
+
+    // Anything behind queued work waits its turn so replay order is preserved
+    if (!navigator.onLine || hasPending) {
+      const mutation = await this.enqueue(type, payload);
+      this.replay();
+      return { queued: true, mutation };
+    }
+
+    try {
+      const response = await handler.execute(payload);
+      handler.onSuccess(response.data, payload);
+      return { queued: false, data: response.data };
+    } catch (error) {
+      if (!error.isNetworkError) {
+        throw error;
+      }
+      const mutation = await this.enqueue(type, payload);
+      this.scheduleReplay();
+      return { queued: true, mutation };
+    }
+  }
+
+  // Send queued mutations in order, stopping at the first network failure.
+  // Mutations the server rejects are kept as conflicts for the user to review.
+  async replay() {
+    if (this.isReplaying || !this.isReady || !navigator.onLine) return;
+    // Signed out; whatever is left belongs to nobody we can send it as
+    if (!localStorage.getItem('token')) return;
+    this.isReplaying = true;
+    clearTimeout(this.retryTimer);
+
+    try {
+      // Re-read the queue each time so mutations added mid-replay are picked up
+      let mutation;
+      while ((mutation = this.mutations.find((m) => m.status === 'pending' && belongsToCurrentUser(m)))) {
+        const handler = mutationHandlers[mutation.type];
+
+        try {
+          const response = await handler.execute(mutation.payload);
+          handler.onSuccess(response.data, mutation.payload);
+          await this.delete(mutation.id);
+        } catch (error) {
+          if (error.isNetworkError) {
+            // Online but the server is unreachable; try again shortly
+            this.scheduleReplay();
+            break;
+          }
+
+          const conflict = {
+            ...mutation,
+            status: 'conflict',
+            error: error.message,
+          };
+          this.setMutations(this.mutations.map((m) => (m.id === mutation.id ? conflict : m)));
+          await this.persist(conflict);
+        }
+      }
+    } finally {
+      this.isReplaying = false;
+    }
+  }
+
+  scheduleReplay() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => this.replay(), RETRY_DELAY);
+  }
+
+  // Drop everything, e.g. when the user logs out
+  async clear() {
+    clearTimeout(this.retryTimer);
+    this.setMutations([]);
+    try {
+      await runTransaction('readwrite', (store) => store.clear());
+    } catch (error) {
+      console.error('Error clearing offline queue:', error);
+    }
+  }
+
+  // Put a conflicted mutation back in the queue
+  async retry(id) {
+    const mutation = this.mutations.find((m) => m.id === id);
+    if (!mutation) return;
+
+    const pending = { ...mutation, status: 'pending', error: null };
+    this.setMutations(this.mutations.map((m) => (m.id === id ? pending : m)));
+    await this.persist(pending);
+    this.replay();
+  }
+
+  dismiss(id) {
+    return this.delete(id);
+  }
+
+  describe(mutation) {
+    return mutationHandlers[mutation.type]?.label(mutation.payload) || 'a change';
+  }
+}
+
+// Create singleton instance
+const offlineQueue = new OfflineQueue();
+
+export default offlineQueue;
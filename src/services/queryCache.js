@@ -0,0 +1,392 @@
+// Cached data is served immediately and revalidated in the background once
+// it is older than this
+const STALE_TIME = 30 * 1000;
+
+// Default number of items requested per page for paginated lists
+export const PAGE_SIZE = 20;
+
+// Keys for every cached resource. `wishlists`, `products`, `publicProducts`,
+// `explore` and `activity` hold paginated lists shaped
+// `{ items, nextCursor, total }`.
+export const queryKeys = {
+  wishlists: () => 'wishlists',
+  wishlist: (id) => `wishlist:${id}`,
+  products: (wishlistId) => `products:${wishlistId}`,
+  explore: ({ q = '', sort = 'newest', tag = '' } = {}) => `explore:${sort}:${tag}:${q}`,
+  publicWishlist: (id) => `public:${id}`,
+  userProfile: (username) => `user:${username}`,
+  publicProducts: (id) => `public:${id}:products`,
+  invites: (wishlistId) => `invites:${wishlistId}`,
+  activity: (wishlistId, { type = '', actor = '' } = {}) =>
+    `activity:${wishlistId}:${type || 'all'}:${actor || 'all'}`,
+};
+
+// Normalize a list response into a page. Backends without pagination return
+// a plain array, which is treated as a single complete page.
+export const toPage = (data) => {
+  if (Array.isArray(data)) {
+    return { items: data, nextCursor: null, total: data.length };
+  }
+  return {
+    items: data?.items || [],
+    nextCursor: data?.nextCursor || null,
+    total: data?.total ?? null,
+  };
+};
+
+// Append a page to a list, skipping items that are already loaded (e.g.
+// inserted earlier by a socket event)
+const appendPage = (list, page) => {
+  const loadedIds = new Set(list.items.map((item) => item._id));
+  return {
+    ...list,
+    items: [...list.items, ...page.items.filter((item) => !loadedIds.has(item._id))],
+    nextCursor: page.nextCursor,
+    total: page.total ?? list.total,
+  };
+};
+
+// Apply a change to the items of a paginated list, keeping `total` in step
+const updateItems = (list, updater) => {
+  const items = updater(list.items);
+  const total = list.total == null ? null : Math.max(0, list.total + items.length - list.items.length);
+  return { ...list, items, total };
+};
+
+class QueryCache {
+  constructor() {
+    this.entries = new Map();
+    this.fetchers = new Map();
+    this.listeners = new Map();
+    // Bumped by clear(); requests started before it don't write back
+    this.generation = 0;
+  }
+
+  // Entries are replaced rather than mutated so subscribers can compare
+  // snapshots by reference
+  getEntry(key) {
+    return this.entries.get(key);
+  }
+
+  getData(key) {
+    return this.entries.get(key)?.data;
+  }
+
+  setEntry(key, changes) {
+    const entry = this.entries.get(key) || {
+      data: undefined,
+      error: null,
+      updatedAt: 0,
+      isFetching: false,
+    };
+    this.entries.set(key, { ...entry, ...changes });
+    this.notify(key);
+  }
+
+  subscribe(key, listener) {
+    if (!this.listeners.has(key)) {
+      this.listeners.set(key, new Set());
+    }
+    this.listeners.get(key).add(listener);
+
+    return () => {
+      const keyListeners = this.listeners.get(key);
+      keyListeners?.delete(listener);
+      if (keyListeners?.size === 0) {
+        this.listeners.delete(key);
+      }
+    };
+  }
+
+  notify(key) {
+    this.listeners.get(key)?.forEach((listener) => listener());
+  }
+
+  isStale(key) {
+    const entry = this.entries.get(key);
+    return !entry || entry.data === undefined || Date.now() - entry.updatedAt > STALE_TIME;
+  }
+
+  // Fetch a resource unless a fresh copy is cached. Concurrent calls for the
+  // same key share one request.
+  fetch(key, fetcher, { force = false } = {}) {
+    this.fetchers.set(key, fetcher);
+
+    const entry = this.entries.get(key);
+    if (entry?.promise) {
+      return entry.promise;
+    }
+    if (!force && !this.isStale(key)) {
+      return Promise.resolve(entry.data);
+    }
+
+    const generation = this.generation;
+    const promise = fetcher()
+      .then((data) => {
+        if (generation !== this.generation) {
+          return data;
+        }
+        this.setEntry(key, {
+          data,
+          error: null,
+          updatedAt: Date.now(),
+          isFetching: false,
+          promise: null,
+        });
+        return data;
+      })
+      .catch((error) => {
+        if (generation === this.generation) {
+          this.setEntry(key, { error, isFetching: false, promise: null });
+        }
+        throw error;
+      });
+
+    this.setEntry(key, { isFetching: true, promise });
+    return promise;
+  }
+
+  // Load the page after the last one loaded for a paginated entry.
+  // `fetchPage(cursor)` resolves with a page; concurrent calls share one
+  // request.
+  fetchNextPage(key, fetchPage) {
+    const entry = this.entries.get(key);
+    if (entry?.nextPagePromise) {
+      return entry.nextPagePromise;
+    }
+    if (!entry?.data?.nextCursor) {
+      return Promise.resolve(entry?.data);
+    }
+
+    const generation = this.generation;
+    const promise = fetchPage(entry.data.nextCursor)
+      .then((page) => {
+        const current = this.getData(key);
+        // The cache may have been cleared (e.g. logout) while loading
+        if (generation !== this.generation) {
+          return current;
+        }
+        this.setEntry(key, {
+          ...(current && { data: appendPage(current, page) }),
+          isFetchingNextPage: false,
+          nextPagePromise: null,
+        });
+        return this.getData(key);
+      })
+      .catch((error) => {
+        if (generation === this.generation) {
+          this.setEntry(key, { isFetchingNextPage: false, nextPagePromise: null });
+        }
+        throw error;
+      });
+
+    this.setEntry(key, { isFetchingNextPage: true, nextPagePromise: promise });
+    return promise;
+  }
+
+  // Write data directly, e.g. after a mutation or a socket event. Accepts a
+  // value or an updater function receiving the current data.
+  setData(key, updater) {
+    const current = this.getData(key);
+    const data = typeof updater === 'function' ? updater(current) : updater;
+    this.setEntry(key, { data, error: null, updatedAt: Date.now() });
+  }
+
+  // Update data only if the key is already cached
+  updateData(key, updater) {
+    if (this.getData(key) !== undefined) {
+      this.setData(key, updater);
+    }
+  }
+
+  // Mark an entry stale and refetch it right away if something is watching it
+  invalidate(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+
+    this.entries.set(key, { ...entry, updatedAt: 0 });
+
+    const fetcher = this.fetchers.get(key);
+    if (fetcher && this.listeners.has(key)) {
+      this.fetch(key, fetcher).catch(() => {});
+    }
+  }
+
+  // Invalidate every entry whose key starts with `prefix`
+  invalidatePrefix(prefix) {
+    [...this.entries.keys()]
+      .filter((key) => key.startsWith(prefix))
+      .forEach((key) => this.invalidate(key));
+  }
+
+  remove(key) {
+    this.entries.delete(key);
+    this.notify(key);
+  }
+
+  // Drop everything, e.g. on logout. Requests still in flight are ignored
+  // when they finish so the previous user's data can't come back.
+  clear() {
+    this.generation += 1;
+    const keys = [...this.entries.keys()];
+    this.entries.clear();
+    this.fetchers.clear();
+    keys.forEach((key) => this.notify(key));
+  }
+}
+
+// Create singleton instance
+const queryCache = new QueryCache();
+
+// Helpers keeping list and detail entries consistent after mutations and
+// socket events
+
+// Every change to a wishlist's products or members shows up in its activity
+// feed, whatever filters it's viewed with
+export const invalidateActivity = (wishlistId) => {
+  queryCache.invalidatePrefix(`activity:${wishlistId}:`);
+};
+
+// Product changes also affect the wishlist's item count and total value, so
+// the wishlist entries are refetched
+const invalidateWishlist = (wishlistId) => {
+  queryCache.invalidate(queryKeys.wishlist(wishlistId));
+  queryCache.invalidate(queryKeys.wishlists());
+  invalidateActivity(wishlistId);
+};
+
+// New products are newest-first, so they go at the top of the loaded items
+// even if later pages haven't been fetched yet
+export const addProductToCache = (wishlistId, product) => {
+  queryCache.updateData(queryKeys.products(wishlistId), (list) =>
+    list.items.some((p) => p._id === product._id)
+      ? list
+      : updateItems(list, (products) => [product, ...products])
+  );
+  invalidateWishlist(wishlistId);
+};
+
+export const updateProductInCache = (wishlistId, product) => {
+  queryCache.updateData(queryKeys.products(wishlistId), (list) =>
+    updateItems(list, (products) => products.map((p) => (p._id === product._id ? product : p)))
+  );
+  invalidateWishlist(wishlistId);
+};
+
+export const removeProductFromCache = (wishlistId, productId) => {
+  queryCache.updateData(queryKeys.products(wishlistId), (list) =>
+    updateItems(list, (products) => products.filter((p) => p._id !== productId))
+  );
+  invalidateWishlist(wishlistId);
+};
+
+// Comments and reactions only change the product they belong to
+const updateProductById = (wishlistId, productId, updater) => {
+  queryCache.updateData(queryKeys.products(wishlistId), (list) =>
+    updateItems(list, (products) => products.map((p) => (p._id === productId ? updater(p) : p)))
+  );
+  invalidateActivity(wishlistId);
+};
+
+export const addCommentToCache = (wishlistId, productId, comment) => {
+  updateProductById(wishlistId, productId, (product) => {
+    const comments = product.comments || [];
+    return comments.some((c) => c._id === comment._id)
+      ? product
+      : { ...product, comments: [...comments, comment] };
+  });
+};
+
+// A user has at most one reaction per product, so a new one replaces theirs
+export const setReactionInCache = (wishlistId, productId, reaction) => {
+  updateProductById(wishlistId, productId, (product) => ({
+    ...product,
+    reactions: [
+      ...(product.reactions || []).filter((r) => r.user._id !== reaction.user._id),
+      reaction,
+    ],
+  }));
+};
+
+export const removeReactionFromCache = (wishlistId, productId, userId) => {
+  updateProductById(wishlistId, productId, (product) => ({
+    ...product,
+    reactions: (product.reactions || []).filter((r) => r.user._id !== userId),
+  }));
+};
+
+export const addWishlistToCache = (wishlist) => {
+  queryCache.updateData(queryKeys.wishlists(), (list) =>
+    list.items.some((w) => w._id === wishlist._id)
+      ? list
+      : updateItems(list, (wishlists) => [wishlist, ...wishlists])
+  );
+};
+
+// Apply a change to both the detail entry and the list item
+const updateWishlistById = (wishlistId, updater) => {
+  queryCache.updateData(queryKeys.wishlist(wishlistId), updater);
+  queryCache.updateData(queryKeys.wishlists(), (list) =>
+    updateItems(list, (wishlists) => wishlists.map((w) => (w._id === wishlistId ? updater(w) : w)))
+  );
+};
+
+// Merge changed fields into the cached wishlist
+export const updateWishlistInCache = (wishlist) => {
+  updateWishlistById(wishlist._id, (current) => ({ ...current, ...wishlist }));
+};
+
+// Membership changes touch the collaborators of both wishlist entries
+const updateCollaborators = (wishlistId, updater) => {
+  updateWishlistById(wishlistId, (wishlist) => ({
+    ...wishlist,
+    collaborators: updater(wishlist.collaborators || []),
+  }));
+  invalidateActivity(wishlistId);
+};
+
+export const addMemberToCache = (wishlistId, member) => {
+  updateCollaborators(wishlistId, (collaborators) =>
+    collaborators.some((c) => c.user._id === member.user._id)
+      ? collaborators
+      : [...collaborators, member]
+  );
+};
+
+export const removeMemberFromCache = (wishlistId, userId) => {
+  updateCollaborators(wishlistId, (collaborators) =>
+    collaborators.filter((c) => c.user._id !== userId)
+  );
+};
+
+// Role changes and ownership transfers replace the owner and collaborators
+export const setMembersInCache = (wishlistId, { owner, collaborators }) => {
+  updateWishlistById(wishlistId, (wishlist) => ({ ...wishlist, owner, collaborators }));
+  invalidateActivity(wishlistId);
+};
+
+// A new invite goes to the top of the list, a revoked one replaces itself
+export const setInviteInCache = (wishlistId, invite) => {
+  queryCache.updateData(queryKeys.invites(wishlistId), (invites) =>
+    invites.some((i) => i.code === invite.code)
+      ? invites.map((i) => (i.code === invite.code ? invite : i))
+      : [invite, ...invites]
+  );
+};
+
+export const removeWishlistFromCache = (wishlistId) => {
+  queryCache.remove(queryKeys.wishlist(wishlistId));
+  queryCache.remove(queryKeys.products(wishlistId));
+  queryCache.remove(queryKeys.invites(wishlistId));
+  queryCache.updateData(queryKeys.wishlists(), (list) => {
+    const updated = updateItems(list, (wishlists) => wishlists.filter((w) => w._id !== wishlistId));
+    // Keep the server's value total in step when the wishlist was loaded
+    const removed = list.items.find((w) => w._id === wishlistId);
+    if (removed && list.totalValue != null) {
+      updated.totalValue = Math.max(0, list.totalValue - (removed.totalValue || 0));
+    }
+    return updated;
+  });
+};
+
+export default queryCache;
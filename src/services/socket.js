@@ -1,129 +1,375 @@
 import { io } from 'socket.io-client';
+import { createMockSocket } from '../mocks/socket';
+import { refreshAccessToken, expireSession } from './api';
+import connectionStatus from './connectionStatus';
+import { SOCKET_EVENTS, encodeEvent, decodeEvent, isContractEvent } from './socketEvents';
 
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:5000';
+const MOCK_API = import.meta.env.VITE_MOCK_API === 'true';
+
+// Mock mode emulates the server's rooms in the browser
+const createSocket = MOCK_API ? createMockSocket : io;
+
+// Emits made while disconnected are held until the socket reconnects. Old
+// ones are dropped since the data they describe will be refetched anyway.
+const MAX_BUFFERED_EMITS = 100;
+const BUFFERED_EMIT_TTL = 5 * 60 * 1000;
+
+// Consecutive failed attempts before the server is reported as unreachable
+const UNREACHABLE_AFTER = 3;
+
+// The server rejects unauthenticated handshakes from its auth middleware.
+// Transport failures (e.g. "websocket error") must not end the session, so
+// only the middleware's code or its exact messages count.
+const AUTH_ERROR_MESSAGES = ['Authentication error', 'Unauthorized', 'jwt expired', 'invalid token'];
+
+const isAuthError = (error) =>
+  error?.data?.code === 'UNAUTHORIZED' || AUTH_ERROR_MESSAGES.includes(error?.message);
 
 class SocketService {
   constructor() {
     this.socket = null;
     this.isConnected = false;
+    this.token = null;
+    this.isRecoveringAuth = false;
+    this.hasConnected = false;
+    this.failedAttempts = 0;
+    // Rooms we should be in (with how many views asked for each), rejoined
+    // on every (re)connect
+    this.rooms = new Map();
+    this.bufferedEmits = [];
+    // Listeners live here so they survive the socket being recreated. Each
+    // event maps callbacks to the (validating) handlers registered for them.
+    this.listeners = new Map();
+    this.resyncListeners = new Set();
   }
 
+  // Connects once a token has been provided through authenticate()
   connect() {
+    if (!this.token) {
+      return this.socket;
+    }
+
     if (!this.socket) {
-      this.socket = io(SOCKET_URL, {
+      this.socket = createSocket(SOCKET_URL, {
         autoConnect: false,
+        // Read on every handshake so reconnects use the latest token
+        auth: (callback) => callback({ token: this.token }),
       });
 
       this.socket.on('connect', () => {
         console.log('Connected to server');
         this.isConnected = true;
+        this.isRecoveringAuth = false;
+        this.failedAttempts = 0;
+        connectionStatus.setSocketStatus('connected');
+        this.handleConnect();
       });
 
-      this.socket.on('disconnect', () => {
+      this.socket.on('disconnect', (reason) => {
         console.log('Disconnected from server');
         this.isConnected = false;
+        // Disconnects we asked for are followed by our own reconnect, if any.
+        // socket.io doesn't retry after the server kicks us, so don't claim to.
+        if (reason === 'io server disconnect') {
+          connectionStatus.setSocketStatus('disconnected');
+        } else if (reason !== 'io client disconnect') {
+          connectionStatus.setSocketStatus('reconnecting');
+        }
       });
 
       this.socket.on('connect_error', (error) => {
         console.error('Connection error:', error);
+        if (isAuthError(error)) {
+          this.handleAuthError();
+          return;
+        }
+
+        this.failedAttempts += 1;
+        connectionStatus.setSocketStatus(
+          this.failedAttempts >= UNREACHABLE_AFTER ? 'unreachable' : 'reconnecting'
+        );
+      });
+
+      this.listeners.forEach((handlers, event) => {
+        handlers.forEach((handler) => this.socket.on(event, handler));
       });
     }
 
     if (!this.isConnected) {
+      if (connectionStatus.getStatus() === 'idle') {
+        connectionStatus.setSocketStatus('connecting');
+      }
       this.socket.connect();
     }
 
     return this.socket;
   }
 
+  // Drop the current connection attempt and start a fresh one, e.g. from
+  // the "Reconnect" button
+  reconnect() {
+    this.failedAttempts = 0;
+    if (this.socket) {
+      this.socket.disconnect();
+      connectionStatus.setSocketStatus('reconnecting');
+      this.socket.connect();
+    } else {
+      this.connect();
+    }
+  }
+
   disconnect() {
     if (this.socket) {
       this.socket.disconnect();
       this.socket = null;
       this.isConnected = false;
     }
+    this.token = null;
+    this.isRecoveringAuth = false;
+    this.hasConnected = false;
+    this.failedAttempts = 0;
+    this.rooms.clear();
+    this.bufferedEmits = [];
+    connectionStatus.setSocketStatus('idle');
   }
 
-  // Wishlist room management
-  joinWishlist(wishlistId) {
+  // Use a new token (after login or a refresh). The server only checks it
+  // during the handshake, so an open connection is restarted to make the
+  // server see the identity the new token belongs to.
+  authenticate(token) {
+    const isNewToken = token !== this.token;
+    this.token = token;
+    if (!this.isConnected) {
+      this.connect();
+    } else if (isNewToken) {
+      this.reconnect();
+    }
+  }
+
+  // The handshake was rejected, most likely because the token expired. Try
+  // a refresh once (the new token reaches us through authenticate()); if the
+  // server still refuses, end the session like the HTTP interceptor does.
+  async handleAuthError() {
+    if (this.isRecoveringAuth) {
+      this.disconnect();
+      expireSession();
+      return;
+    }
+
+    this.isRecoveringAuth = true;
+    try {
+      const token = await refreshAccessToken();
+      this.authenticate(token);
+    } catch {
+      this.disconnect();
+      expireSession();
+    }
+  }
+
+  // Rejoin rooms and send anything buffered. After a reconnect, events may
+  // have been missed during the gap, so subscribers are told to resync.
+  handleConnect() {
+    this.rooms.forEach((_count, wishlistId) => this.socket.emit('join-wishlist', wishlistId));
+
+    const cutoff = Date.now() - BUFFERED_EMIT_TTL;
+    const buffered = this.bufferedEmits.filter((item) => item.queuedAt >= cutoff);
+    this.bufferedEmits = [];
+    buffered.forEach(({ event, data }) => this.socket.emit(event, data));
+
+    if (this.hasConnected) {
+      this.resyncListeners.forEach((listener) => listener([...this.rooms.keys()]));
+    }
+    this.hasConnected = true;
+  }
+
+  // Send now if connected, otherwise hold the event until we reconnect.
+  // Events that are only meaningful right now pass `buffer: false`.
+  // Payloads that don't match the event contract are not sent.
+  emit(event, data, { buffer = true } = {}) {
+    const envelope = encodeEvent(event, data);
+    if (!envelope) return;
+
     if (this.socket && this.isConnected) {
+      this.socket.emit(event, envelope);
+      return;
+    }
+    if (!buffer) return;
+
+    this.bufferedEmits.push({ event, data: envelope, queuedAt: Date.now() });
+    if (this.bufferedEmits.length > MAX_BUFFERED_EMITS) {
+      this.bufferedEmits.shift();
+    }
+  }
+
+  // Subscribe to resyncs after a reconnect (returns an unsubscribe
+  // function). Listeners receive the ids of the rooms that were rejoined.
+  onResync(listener) {
+    this.resyncListeners.add(listener);
+    return () => this.resyncListeners.delete(listener);
+  }
+
+  // Wishlist room management. Rooms are remembered even while disconnected
+  // and joined as soon as the socket connects. Several views may ask for the
+  // same room; it is only left once all of them have let go.
+  joinWishlist(wishlistId) {
+    const count = this.rooms.get(wishlistId) || 0;
+    this.rooms.set(wishlistId, count + 1);
+    if (count === 0 && this.socket && this.isConnected) {
       this.socket.emit('join-wishlist', wishlistId);
     }
   }
 
   leaveWishlist(wishlistId) {
-    if (this.socket && this.isConnected) {
+    const count = this.rooms.get(wishlistId) || 0;
+    if (count > 1) {
+      this.rooms.set(wishlistId, count - 1);
+      return;
+    }
+
+    this.rooms.delete(wishlistId);
+    if (count === 1 && this.socket && this.isConnected) {
       this.socket.emit('leave-wishlist', wishlistId);
     }
   }
 
   // Product events
   emitProductAdded(data) {
-    if (this.socket && this.isConnected) {
-      this.socket.emit('product-added', data);
-    }
+    this.emit(SOCKET_EVENTS.PRODUCT_ADDED, data);
   }
 
   emitProductUpdated(data) {
-    if (this.socket && this.isConnected) {
-      this.socket.emit('product-updated', data);
-    }
+    this.emit(SOCKET_EVENTS.PRODUCT_UPDATED, data);
   }
 
   emitProductDeleted(data) {
-    if (this.socket && this.isConnected) {
-      this.socket.emit('product-deleted', data);
-    }
+    this.emit(SOCKET_EVENTS.PRODUCT_DELETED, data);
   }
 
   // Comment and reaction events
   emitCommentAdded(data) {
-    if (this.socket && this.isConnected) {
-      this.socket.emit('comment-added', data);
-    }
+    this.emit(SOCKET_EVENTS.COMMENT_ADDED, data);
   }
 
   emitReactionAdded(data) {
-    if (this.socket && this.isConnected) {
-      this.socket.emit('reaction-added', data);
-    }
+    this.emit(SOCKET_EVENTS.REACTION_ADDED, data);
+  }
+
+  // Wishlist events
+  emitWishlistUpdated(data) {
+    this.emit(SOCKET_EVENTS.WISHLIST_UPDATED, data);
+  }
+
+  emitWishlistDeleted(data) {
+    this.emit(SOCKET_EVENTS.WISHLIST_DELETED, data);
+  }
+
+  emitMemberJoined(data) {
+    this.emit(SOCKET_EVENTS.MEMBER_JOINED, data);
+  }
+
+  emitMemberLeft(data) {
+    this.emit(SOCKET_EVENTS.MEMBER_LEFT, data);
+  }
+
+  // Typing indicators are only meaningful while they're fresh
+  emitCommentTyping(data) {
+    this.emit(SOCKET_EVENTS.COMMENT_TYPING, data, { buffer: false });
+  }
+
+  // Presence events (not buffered, a fresh heartbeat is sent on connect)
+  emitPresenceHeartbeat(data) {
+    this.emit(SOCKET_EVENTS.PRESENCE_HEARTBEAT, data, { buffer: false });
+  }
+
+  emitPresenceLeave(data) {
+    this.emit(SOCKET_EVENTS.PRESENCE_LEAVE, data, { buffer: false });
   }
 
   // Event listeners
   onProductAdded(callback) {
-    if (this.socket) {
-      this.socket.on('product-added', callback);
-    }
+    this.on(SOCKET_EVENTS.PRODUCT_ADDED, callback);
   }
 
   onProductUpdated(callback) {
-    if (this.socket) {
-      this.socket.on('product-updated', callback);
-    }
+    this.on(SOCKET_EVENTS.PRODUCT_UPDATED, callback);
   }
 
   onProductDeleted(callback) {
-    if (this.socket) {
-      this.socket.on('product-deleted', callback);
-    }
+    this.on(SOCKET_EVENTS.PRODUCT_DELETED, callback);
   }
 
   onCommentAdded(callback) {
-    if (this.socket) {
-      this.socket.on('comment-added', callback);
-    }
+    this.on(SOCKET_EVENTS.COMMENT_ADDED, callback);
   }
 
   onReactionAdded(callback) {
+    this.on(SOCKET_EVENTS.REACTION_ADDED, callback);
+  }
+
+  onWishlistUpdated(callback) {
+    this.on(SOCKET_EVENTS.WISHLIST_UPDATED, callback);
+  }
+
+  onWishlistDeleted(callback) {
+    this.on(SOCKET_EVENTS.WISHLIST_DELETED, callback);
+  }
+
+  onMemberJoined(callback) {
+    this.on(SOCKET_EVENTS.MEMBER_JOINED, callback);
+  }
+
+  onMemberLeft(callback) {
+    this.on(SOCKET_EVENTS.MEMBER_LEFT, callback);
+  }
+
+  onCommentTyping(callback) {
+    this.on(SOCKET_EVENTS.COMMENT_TYPING, callback);
+  }
+
+  onPresenceHeartbeat(callback) {
+    this.on(SOCKET_EVENTS.PRESENCE_HEARTBEAT, callback);
+  }
+
+  onPresenceLeave(callback) {
+    this.on(SOCKET_EVENTS.PRESENCE_LEAVE, callback);
+  }
+
+  // Contract events only reach the callback once validated; connection
+  // events like 'connect' are passed through as they are
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Map());
+    }
+    const handlers = this.listeners.get(event);
+    if (handlers.has(callback)) return;
+
+    const handler = isContractEvent(event)
+      ? (data) => {
+          const payload = decodeEvent(event, data);
+          if (payload) {
+            callback(payload);
+          }
+        }
+      : callback;
+    handlers.set(callback, handler);
     if (this.socket) {
-      this.socket.on('reaction-added', callback);
+      this.socket.on(event, handler);
     }
   }
 
   // Remove event listeners
   off(event, callback) {
-    if (this.socket) {
-      this.socket.off(event, callback);
+    if (!callback) {
+      this.listeners.delete(event);
+      this.socket?.off(event);
+      return;
+    }
+
+    const handler = this.listeners.get(event)?.get(callback);
+    this.listeners.get(event)?.delete(callback);
+    if (handler && this.socket) {
+      this.socket.off(event, handler);
     }
   }
 }
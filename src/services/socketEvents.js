@@ -0,0 +1,154 @@
+// Contract for the events relayed between clients through wishlist rooms.
+// SocketService checks every payload against it both ways: malformed emits
+// are never sent, and incoming events that are malformed or carry a version
+// we don't understand are dropped before any handler sees them.
+export const SOCKET_EVENTS = {
+  PRODUCT_ADDED: 'product-added',
+  PRODUCT_UPDATED: 'product-updated',
+  PRODUCT_DELETED: 'product-deleted',
+  COMMENT_ADDED: 'comment-added',
+  REACTION_ADDED: 'reaction-added',
+  WISHLIST_UPDATED: 'wishlist-updated',
+  WISHLIST_DELETED: 'wishlist-deleted',
+  MEMBER_JOINED: 'member-joined',
+  MEMBER_LEFT: 'member-left',
+  COMMENT_TYPING: 'comment-typing',
+  PRESENCE_HEARTBEAT: 'presence-heartbeat',
+  PRESENCE_LEAVE: 'presence-leave',
+};
+
+// Field checks
+const isId = (value) => typeof value === 'string' && value.length > 0;
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isEntity = (value) => isObject(value) && isId(value._id);
+const isBoolean = (value) => typeof value === 'boolean';
+const oneOf = (...options) => (value) => options.includes(value);
+const optional = (check) => (value) => value === undefined || check(value);
+
+// Each event's payload version and field checks. `refine` covers rules that
+// span several fields. Bump `version` whenever a payload changes shape so
+// clients on an older build drop events they would misread.
+const eventSchemas = {
+  [SOCKET_EVENTS.PRODUCT_ADDED]: {
+    version: 1,
+    fields: { wishlistId: isId, product: isEntity },
+  },
+  [SOCKET_EVENTS.PRODUCT_UPDATED]: {
+    version: 1,
+    fields: { wishlistId: isId, product: isEntity },
+  },
+  [SOCKET_EVENTS.PRODUCT_DELETED]: {
+    version: 1,
+    fields: { wishlistId: isId, productId: isId },
+  },
+  [SOCKET_EVENTS.COMMENT_ADDED]: {
+    version: 1,
+    fields: {
+      wishlistId: isId,
+      productId: isId,
+      comment: (value) => isEntity(value) && isEntity(value.user),
+    },
+  },
+  // Also carries removals, as `{ action: 'remove', userId }`
+  [SOCKET_EVENTS.REACTION_ADDED]: {
+    version: 1,
+    fields: {
+      wishlistId: isId,
+      productId: isId,
+      action: oneOf('add', 'remove'),
+      reaction: optional((value) => isObject(value) && isEntity(value.user)),
+      userId: optional(isId),
+    },
+    refine: (data) => (data.action === 'add' ? data.reaction !== undefined : data.userId !== undefined),
+  },
+  [SOCKET_EVENTS.WISHLIST_UPDATED]: {
+    version: 1,
+    fields: { wishlistId: isId, wishlist: isObject },
+  },
+  [SOCKET_EVENTS.WISHLIST_DELETED]: {
+    version: 1,
+    fields: { wishlistId: isId },
+  },
+  [SOCKET_EVENTS.MEMBER_JOINED]: {
+    version: 1,
+    fields: { wishlistId: isId, member: (value) => isObject(value) && isEntity(value.user) },
+  },
+  [SOCKET_EVENTS.MEMBER_LEFT]: {
+    version: 1,
+    fields: { wishlistId: isId, userId: isId },
+  },
+  [SOCKET_EVENTS.COMMENT_TYPING]: {
+    version: 1,
+    fields: { wishlistId: isId, productId: isId, user: isEntity, isTyping: isBoolean },
+  },
+  [SOCKET_EVENTS.PRESENCE_HEARTBEAT]: {
+    version: 1,
+    fields: {
+      wishlistId: isId,
+      sessionId: isId,
+      user: isEntity,
+      status: oneOf('active', 'idle', 'away'),
+      reply: optional(isBoolean),
+    },
+  },
+  [SOCKET_EVENTS.PRESENCE_LEAVE]: {
+    version: 1,
+    fields: { wishlistId: isId, sessionId: isId },
+  },
+};
+
+export const isContractEvent = (event) => Object.hasOwn(eventSchemas, event);
+
+// Names of the fields that fail their check, empty if the payload is valid
+const findInvalidFields = (schema, data) => {
+  if (!isObject(data)) {
+    return ['(payload)'];
+  }
+
+  const invalid = Object.keys(schema.fields).filter((field) => !schema.fields[field](data[field]));
+  if (invalid.length === 0 && schema.refine && !schema.refine(data)) {
+    invalid.push('(combination)');
+  }
+  return invalid;
+};
+
+// Wrap an outgoing payload with its version. Returns null (and warns) if it
+// doesn't match the contract, which means a bug in the caller.
+export const encodeEvent = (event, data) => {
+  const schema = eventSchemas[event];
+  if (!schema) {
+    console.warn(`Not sending unknown socket event "${event}"`);
+    return null;
+  }
+
+  const invalid = findInvalidFields(schema, data);
+  if (invalid.length > 0) {
+    console.warn(`Not sending malformed "${event}" event, invalid: ${invalid.join(', ')}`, data);
+    return null;
+  }
+
+  return { ...data, v: schema.version };
+};
+
+// Unwrap an incoming payload. Returns null (and warns) for events from
+// another version of the contract or that don't match it.
+export const decodeEvent = (event, data) => {
+  const schema = eventSchemas[event];
+  if (!schema) {
+    return null;
+  }
+
+  if (data?.v !== schema.version) {
+    console.warn(`Dropping "${event}" event with unsupported version ${data?.v} (expected ${schema.version})`);
+    return null;
+  }
+
+  const invalid = findInvalidFields(schema, data);
+  if (invalid.length > 0) {
+    console.warn(`Dropping malformed "${event}" event, invalid: ${invalid.join(', ')}`, data);
+    return null;
+  }
+
+  const { v: _version, ...payload } = data;
+  return payload;
+};
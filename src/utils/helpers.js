@@ -43,6 +43,35 @@ export const formatRelativeTime = (date) => {
   return formatDate(date);
 };
 
+// Format time of day
+export const formatTime = (date) => {
+  return new Intl.DateTimeFormat('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+  }).format(new Date(date));
+};
+
+// Day heading for timelines: "Today", "Yesterday" or the date
+export const formatDayLabel = (date) => {
+  const target = new Date(date);
+  const today = new Date();
+  const yesterday = new Date();
+  yesterday.setDate(today.getDate() - 1);
+
+  if (target.toDateString() === today.toDateString()) {
+    return 'Today';
+  }
+  if (target.toDateString() === yesterday.toDateString()) {
+    return 'Yesterday';
+  }
+  return new Intl.DateTimeFormat('en-US', {
+    weekday: 'long',
+    month: 'short',
+    day: 'numeric',
+    year: target.getFullYear() === today.getFullYear() ? undefined : 'numeric',
+  }).format(target);
+};
+
 // Generate avatar URL
 export const generateAvatarUrl = (name, size = 40) => {
   const initials = name
@@ -78,6 +107,61 @@ export const ensureUrlProtocol = (url) => {
   return `https://${url}`;
 };
 
+// Where to send the user after signing in. Only paths on this site are
+// accepted, so a crafted `?redirect=` link can't send them elsewhere.
+export const getSafeRedirect = (target, fallback = '/dashboard') => {
+  if (typeof target !== 'string' || !target.startsWith('/')) {
+    return fallback;
+  }
+
+  try {
+    // Resolving catches tricks like `//evil.com` or `/\evil.com`
+    const url = new URL(target, window.location.origin);
+    if (url.origin !== window.location.origin) {
+      return fallback;
+    }
+    // Don't bounce back to the auth pages
+    if (['/login', '/register'].includes(url.pathname)) {
+      return fallback;
+    }
+    return `${url.pathname}${url.search}${url.hash}`;
+  } catch {
+    return fallback;
+  }
+};
+
+// Login page URL that returns to `path` once signed in
+export const getLoginUrl = (path) => {
+  const redirect = getSafeRedirect(path, null);
+  return redirect ? `/login?redirect=${encodeURIComponent(redirect)}` : '/login';
+};
+
+// Public profile page of a user
+export const getProfilePath = (username) => `/u/${encodeURIComponent(username)}`;
+
+// Name to show for a user, including ones missing from a response (e.g. a
+// wishlist whose owner was deleted)
+export const getDisplayName = (user) => user?.username || 'Unknown user';
+
+// Shareable link that opens the invite page for a code
+export const getInviteUrl = (inviteCode) =>
+  `${window.location.origin}/join/${encodeURIComponent(inviteCode)}`;
+
+// Accept either a bare invite code or a pasted invite link
+export const parseInviteCode = (input) => {
+  const value = input.trim();
+  const match = value.match(/\/join\/([^/?#]+)/);
+  return match ? decodeURIComponent(match[1]) : value;
+};
+
+// Headings for invites that exist but can no longer be used, keyed by the
+// error code the server rejects them with
+export const INVITE_ERROR_TITLES = {
+  INVITE_EXPIRED: 'Invite expired',
+  INVITE_EXHAUSTED: 'Invite used up',
+  INVITE_REVOKED: 'Invite revoked',
+};
+
 // Truncate text
 export const truncateText = (text, maxLength = 100) => {
   if (text.length <= maxLength) return text;
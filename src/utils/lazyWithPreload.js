@@ -0,0 +1,24 @@
+import { lazy } from 'react';
+
+// React.lazy with a `preload()` that starts downloading the chunk early, e.g.
+// when a link to the page is hovered. The import is only ever started once,
+// and a failed preload is left for the lazy render to retry and report.
+const lazyWithPreload = (factory) => {
+  let promise;
+  const load = () => {
+    if (!promise) {
+      promise = factory().catch((error) => {
+        // Let a later attempt retry after a failed download
+        promise = undefined;
+        throw error;
+      });
+    }
+    return promise;
+  };
+
+  const Component = lazy(load);
+  Component.preload = () => load().catch(() => {});
+  return Component;
+};
+
+export default lazyWithPreload;
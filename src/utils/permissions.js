@@ -0,0 +1,54 @@
+// Collaborator roles, from least to most access. The owner is above all of
+// them and is the only one who can delete the wishlist or hand it over.
+export const ROLES = ['viewer', 'editor', 'admin'];
+
+export const ROLE_DETAILS = {
+  viewer: { label: 'Viewer', description: 'Can view, comment and react' },
+  editor: { label: 'Editor', description: 'Can also add products and change their own' },
+  admin: { label: 'Admin', description: 'Can also change any product, edit the wishlist and manage members' },
+};
+
+const ROLE_RANKS = { viewer: 1, editor: 2, admin: 3, owner: 4 };
+
+// Collaborators stored before roles existed have none; they were editors
+export const getMemberRole = (member) => member.role || 'editor';
+
+const atLeast = (role, minimum) => (ROLE_RANKS[role] || 0) >= ROLE_RANKS[minimum];
+
+// 'owner', the collaborator role, or null for non-members
+export const getRole = (wishlist, userId) => {
+  if (!wishlist || !userId) return null;
+  if (wishlist.owner?._id === userId) return 'owner';
+  const member = wishlist.collaborators?.find((c) => c.user._id === userId);
+  return member ? getMemberRole(member) : null;
+};
+
+// What `userId` may do in `wishlist`. The server enforces the same rules;
+// these only decide which controls to show.
+export const getPermissions = (wishlist, userId) => {
+  const role = getRole(wishlist, userId);
+
+  return {
+    role,
+    isOwner: role === 'owner',
+    isMember: role !== null,
+    canAddProducts: atLeast(role, 'editor'),
+    canInvite: atLeast(role, 'editor'),
+    // See, and revoke, every invite rather than just create them
+    canManageInvites: atLeast(role, 'admin'),
+    canEditWishlist: atLeast(role, 'admin'),
+    canManageMembers: atLeast(role, 'admin'),
+    canDeleteWishlist: role === 'owner',
+    canTransferOwnership: role === 'owner',
+    // Roles this user can hand out
+    assignableRoles: role === 'owner' ? ROLES : role === 'admin' ? ['viewer', 'editor'] : [],
+    // Roles this user's invites can grant
+    inviteRoles: role === 'owner' ? ROLES : atLeast(role, 'editor') ? ['viewer', 'editor'] : [],
+    canModifyProduct: (product) =>
+      atLeast(role, 'admin') || (role === 'editor' && product?.addedBy?._id === userId),
+    // Admins manage editors and viewers, only the owner manages admins
+    canManageMember: (member) =>
+      member.user._id !== userId &&
+      (role === 'owner' || (role === 'admin' && getMemberRole(member) !== 'admin')),
+  };
+};